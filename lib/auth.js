@@ -0,0 +1,150 @@
+const crypto = require("crypto");
+const cookieMod = require("cookie");
+const debug = require("debug")("engine:auth");
+
+// 握手时的身份认证：从请求中取出token并校验，校验结果（claims）保存在socket上
+class Authenticator {
+  /**
+   * Authentication of the handshakes.
+   *
+   * @param {Object} options - `verify(token, req)` returning the claims (or
+   *                           a promise), or `secret` / `publicKey` and
+   *                           `algorithms` to verify JWTs; `query` and
+   *                           `cookie`, the names of the token parameter and
+   *                           cookie; `onExpire` (`close` or `reauth`) and
+   *                           `reauthTimeout` in ms
+   * @api private
+   */
+  constructor(opts) {
+    this.opts = Object.assign(
+      {
+        query: "token",
+        cookie: false,
+        onExpire: "close",
+        reauthTimeout: 10000
+      },
+      opts
+    );
+    if (!this.opts.verify) {
+      if (!this.opts.secret && !this.opts.publicKey) {
+        throw new Error("auth requires a verify function, a secret or a key");
+      }
+      this.opts.verify = token => verifyJwt(token, this.opts);
+    }
+  }
+
+  /**
+   * Reads the token of a request: the bearer token of the `Authorization`
+   * header, the query parameter or the cookie, in that order.
+   *
+   * @param {http.IncomingMessage} request
+   * @return {String}
+   * @api private
+   */
+  token(req) {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || "");
+    if (match) return match[1];
+    if (this.opts.query && req._query[this.opts.query]) {
+      return String(req._query[this.opts.query]);
+    }
+    if (this.opts.cookie && req.headers.cookie) {
+      return cookieMod.parse(req.headers.cookie)[this.opts.cookie] || null;
+    }
+    return null;
+  }
+
+  /**
+   * Verifies a token.
+   *
+   * @param {String} token
+   * @param {http.IncomingMessage} request
+   * @return {Promise} the claims
+   * @api private
+   */
+  verify(token, req) {
+    if (!token) return Promise.reject(new Error("missing token"));
+    return new Promise(resolve => {
+      resolve(this.opts.verify(token, req));
+    }).then(claims => {
+      if (!claims) throw new Error("invalid token");
+      return claims;
+    });
+  }
+}
+
+/**
+ * Verifies a JSON Web Token (RFC 7519) signed with HMAC (`HS256`, `HS384`,
+ * `HS512`, with `secret`) or RSA (`RS256`, `RS384`, `RS512`, with
+ * `publicKey`), and returns its claims.
+ *
+ * @param {String} token
+ * @param {Object} options - `secret`, `publicKey`, `algorithms` (by default
+ *                           `HS256` with a secret, `RS256` with a key),
+ *                           `issuer`, `audience` and `clockTolerance` in
+ *                           seconds
+ * @return {Object}
+ * @api public
+ */
+
+function verifyJwt(token, opts) {
+  const parts = String(token).split(".");
+  if (3 !== parts.length) throw new Error("malformed token");
+
+  let header;
+  let claims;
+  try {
+    header = JSON.parse(Buffer.from(parts[0], "base64").toString());
+    claims = JSON.parse(Buffer.from(parts[1], "base64").toString());
+  } catch (e) {
+    throw new Error("malformed token");
+  }
+
+  const algorithms = opts.algorithms || [opts.secret ? "HS256" : "RS256"];
+  const alg = header.alg;
+  if (!~algorithms.indexOf(alg)) {
+    throw new Error('unexpected algorithm "' + alg + '"');
+  }
+
+  const data = parts[0] + "." + parts[1];
+  const signature = Buffer.from(parts[2], "base64");
+  const hash = "sha" + alg.slice(2);
+  let valid;
+  // 每种算法只使用对应的密钥，避免用公钥作为HMAC密钥伪造签名
+  if ("HS" === alg.slice(0, 2) && opts.secret) {
+    const expected = crypto
+      .createHmac(hash, opts.secret)
+      .update(data)
+      .digest();
+    valid =
+      expected.length === signature.length &&
+      crypto.timingSafeEqual(expected, signature);
+  } else if ("RS" === alg.slice(0, 2) && opts.publicKey) {
+    valid = crypto
+      .createVerify("RSA-" + hash.toUpperCase())
+      .update(data)
+      .verify(opts.publicKey, signature);
+  } else {
+    throw new Error('no key for algorithm "' + alg + '"');
+  }
+  if (!valid) throw new Error("invalid signature");
+
+  const now = Date.now() / 1000;
+  const tolerance = opts.clockTolerance || 0;
+  if ("number" === typeof claims.exp && now > claims.exp + tolerance) {
+    throw new Error("token expired");
+  }
+  if ("number" === typeof claims.nbf && now < claims.nbf - tolerance) {
+    throw new Error("token not active yet");
+  }
+  if (opts.issuer && claims.iss !== opts.issuer) {
+    throw new Error("unexpected issuer");
+  }
+  if (opts.audience && !~[].concat(claims.aud).indexOf(opts.audience)) {
+    throw new Error("unexpected audience");
+  }
+  debug("valid token of %j", claims.sub);
+  return claims;
+}
+
+exports.Authenticator = Authenticator;
+exports.verifyJwt = verifyJwt;
@@ -0,0 +1,122 @@
+const crypto = require("crypto");
+const cookieMod = require("cookie");
+const proxy = require("./proxy");
+const signature = require("./signature");
+const debug = require("debug")("engine:binding");
+
+// 会话绑定：握手之后的请求必须来自同一个客户端，防止sid泄露后被他人使用
+class SessionBinding {
+  /**
+   * Binding of the sessions to their client.
+   *
+   * @param {Object} options - `ip` (`true` for the exact address, or the
+   *                           `ipv4` and `ipv6` prefix lengths of the
+   *                           subnet), `userAgent`, `cookie` (`true` or the
+   *                           name of the cookie) and the `secret` signing
+   *                           the cookie
+   * @api private
+   */
+  constructor(opts) {
+    if (true === opts) opts = { ip: true, userAgent: true };
+    this.ip = opts.ip || false;
+    this.userAgent = !!opts.userAgent;
+    this.cookieName = opts.cookie
+      ? "string" === typeof opts.cookie
+        ? opts.cookie
+        : "io_bind"
+      : null;
+    this.secret = opts.secret || crypto.randomBytes(32);
+  }
+
+  /**
+   * Records the client of a handshake.
+   *
+   * @param {http.IncomingMessage} request
+   * @param {String} address of the client
+   * @return {Object}
+   * @api private
+   */
+  bind(req, address) {
+    return {
+      address: address,
+      userAgent: req.headers["user-agent"],
+      nonce: this.cookieName ? this.nonce(req) : null
+    };
+  }
+
+  /**
+   * Returns the nonce of a handshake request, generated once.
+   *
+   * @param {http.IncomingMessage} request
+   * @return {String}
+   * @api private
+   */
+  nonce(req) {
+    if (!req._bindingNonce) {
+      req._bindingNonce = crypto.randomBytes(16).toString("hex");
+    }
+    return req._bindingNonce;
+  }
+
+  /**
+   * Returns the `Set-Cookie` value carrying the signed nonce.
+   *
+   * @param {String} nonce
+   * @return {String}
+   * @api private
+   */
+  cookie(nonce) {
+    return cookieMod.serialize(
+      this.cookieName,
+      nonce + "." + this.sign(nonce),
+      { path: "/", httpOnly: true, sameSite: "lax" }
+    );
+  }
+
+  sign(nonce) {
+    return signature.sign(nonce, this.secret);
+  }
+
+  /**
+   * Checks a request against the client of the handshake.
+   *
+   * @param {Object} binding
+   * @param {http.IncomingMessage} request
+   * @param {String} address of the client
+   * @return {String} the failed check (`ip`, `userAgent` or `cookie`), if any
+   * @api private
+   */
+  check(binding, req, address) {
+    if (this.ip && !this.sameSubnet(binding.address, address)) return "ip";
+    if (this.userAgent && binding.userAgent !== req.headers["user-agent"]) {
+      return "userAgent";
+    }
+    // the sessions opened over websocket have no cookie
+    if (binding.nonce && !this.checkCookie(binding.nonce, req)) {
+      return "cookie";
+    }
+    return null;
+  }
+
+  checkCookie(nonce, req) {
+    const value = cookieMod.parse(req.headers.cookie || "")[this.cookieName];
+    return signature.safeEqual(nonce + "." + this.sign(nonce), value || "");
+  }
+
+  sameSubnet(a, b) {
+    if (a === b) return true;
+    const bytes = proxy.parseIp(a);
+    const other = proxy.parseIp(b);
+    if (!bytes || !other) return false;
+
+    let prefix = bytes.length * 8;
+    if (true !== this.ip) {
+      prefix = (4 === bytes.length ? this.ip.ipv4 : this.ip.ipv6) || prefix;
+    }
+    if (proxy.matchRange({ bytes: bytes, prefix: prefix }, other)) return true;
+    debug('address "%s" is not in the subnet of "%s"', b, a);
+    return false;
+  }
+}
+
+module.exports = SessionBinding;
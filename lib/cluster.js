@@ -0,0 +1,231 @@
+const cluster = require("cluster");
+const PassThrough = require("stream").PassThrough;
+const debug = require("debug")("engine:cluster");
+
+/**
+ * Forwarding of polling requests between the workers of a cluster, so that
+ * they can share one port without sticky load balancing:
+ *
+ *     // primary
+ *     eio.cluster.setupPrimary();
+ *
+ *     // workers
+ *     const engine = eio.attach(server, { store: new eio.FileStore(dir) });
+ *     eio.cluster.attach(engine);
+ *
+ * Requests are serialized and relayed by the primary process over IPC.
+ * Only polling requests can be forwarded.
+ */
+
+const REQUEST = "engine.io:request";
+const RESPONSE = "engine.io:response";
+const ABORT = "engine.io:abort";
+
+// 等待其他进程回复的请求
+const pending = {};
+let lastId = 0;
+
+/**
+ * Relays the messages between the workers. Must be called in the primary
+ * process.
+ *
+ * @api public
+ */
+
+exports.setupPrimary = function() {
+  cluster.on("message", function(worker, msg) {
+    if (
+      !msg ||
+      (REQUEST !== msg.type && RESPONSE !== msg.type && ABORT !== msg.type)
+    ) {
+      return;
+    }
+    const target = findWorker(msg.to);
+    if (!target) {
+      debug('no worker with node id "%s"', msg.to);
+      if (REQUEST === msg.type) {
+        // answer on behalf of the missing worker
+        worker.send({
+          type: RESPONSE,
+          from: msg.to,
+          to: msg.from,
+          id: msg.id,
+          status: 502,
+          headers: {},
+          body: ""
+        });
+      }
+      return;
+    }
+    target.send(msg);
+  });
+};
+
+/**
+ * Forwards the requests of unknown sessions to their owner and handles the
+ * requests forwarded by the other workers. Must be called in a worker.
+ *
+ * @param {Server} engine
+ * @api public
+ */
+
+exports.attach = function(engine) {
+  engine.opts.forwardRequest = function(req, res, nodeId) {
+    forward(engine, req, res, nodeId);
+  };
+
+  // 其他进程转发过来的请求
+  const incoming = {};
+
+  process.on("message", function(msg) {
+    if (!msg || msg.to !== engine.opts.nodeId) return;
+
+    if (RESPONSE === msg.type) {
+      const res = pending[msg.id];
+      if (!res) return;
+      delete pending[msg.id];
+      res.writeHead(msg.status, msg.headers);
+      res.end(Buffer.from(msg.body, "base64"));
+    } else if (REQUEST === msg.type) {
+      const key = msg.from + ":" + msg.id;
+      const req = createRequest(msg);
+      incoming[key] = req;
+      req.res = createResponse(function(status, headers, body) {
+        delete incoming[key];
+        process.send({
+          type: RESPONSE,
+          from: engine.opts.nodeId,
+          to: msg.from,
+          id: msg.id,
+          status: status,
+          headers: headers,
+          body: body.toString("base64")
+        });
+      });
+      engine.handleRequest(req, req.res);
+    } else if (ABORT === msg.type) {
+      const key = msg.from + ":" + msg.id;
+      if (incoming[key]) {
+        incoming[key].destroy();
+        delete incoming[key];
+      }
+    }
+  });
+};
+
+/**
+ * Sends a request to the worker owning the session.
+ *
+ * @api private
+ */
+
+function forward(engine, req, res, nodeId) {
+  const id = ++lastId;
+  const chunks = [];
+  let length = 0;
+
+  debug('forwarding request to node "%s"', nodeId);
+
+  function onData(chunk) {
+    chunks.push(chunk);
+    length += chunk.length;
+    if (length > engine.opts.maxHttpBufferSize) {
+      req.removeListener("end", onEnd);
+      req.connection.destroy();
+    }
+  }
+
+  function onEnd() {
+    pending[id] = res;
+    process.send({
+      type: REQUEST,
+      from: engine.opts.nodeId,
+      to: nodeId,
+      id: id,
+      method: req.method,
+      url: req.url,
+      headers: req.headers,
+      remoteAddress: req.connection.remoteAddress,
+      body: Buffer.concat(chunks, length).toString("base64")
+    });
+  }
+
+  // the client went away before the owner answered
+  res.on("close", function() {
+    if (!pending[id]) return;
+    delete pending[id];
+    process.send({ type: ABORT, from: engine.opts.nodeId, to: nodeId, id: id });
+  });
+
+  req.on("data", onData);
+  req.on("end", onEnd);
+}
+
+/**
+ * Rebuilds a forwarded request.
+ *
+ * @api private
+ */
+
+function createRequest(msg) {
+  const req = new PassThrough();
+  req.method = msg.method;
+  req.url = msg.url;
+  req.headers = msg.headers;
+  req.connection = req.socket = {
+    remoteAddress: msg.remoteAddress,
+    destroy: function() {
+      req.destroy();
+    }
+  };
+  req.end(Buffer.from(msg.body, "base64"));
+  return req;
+}
+
+/**
+ * Creates a response sent back over IPC once ended.
+ *
+ * @api private
+ */
+
+function createResponse(fn) {
+  const headers = {};
+  return {
+    statusCode: 200,
+    headersSent: false,
+    setHeader: function(name, value) {
+      headers[name.toLowerCase()] = value;
+    },
+    getHeader: function(name) {
+      return headers[name.toLowerCase()];
+    },
+    removeHeader: function(name) {
+      delete headers[name.toLowerCase()];
+    },
+    writeHead: function(status, extra) {
+      this.statusCode = status;
+      for (let name in extra) {
+        if (extra.hasOwnProperty(name))
+          headers[name.toLowerCase()] = extra[name];
+      }
+      this.headersSent = true;
+    },
+    end: function(data) {
+      fn(this.statusCode, headers, Buffer.from(data || ""));
+    }
+  };
+}
+
+/**
+ * Finds the worker with the given node id (its pid).
+ *
+ * @api private
+ */
+
+function findWorker(nodeId) {
+  for (let id in cluster.workers) {
+    const worker = cluster.workers[id];
+    if (worker && String(worker.process.pid) === nodeId) return worker;
+  }
+  return null;
+}
@@ -0,0 +1,114 @@
+/**
+ * Subset of CBOR (RFC 7049) used by the packets: arrays, small unsigned
+ * integers, text strings and byte strings.
+ */
+
+const UINT = 0;
+const BYTES = 2;
+const TEXT = 3;
+const ARRAY = 4;
+
+/**
+ * Encodes a value.
+ *
+ * @param {Array|Number|String|Buffer} value
+ * @return {Buffer}
+ * @api private
+ */
+
+exports.encode = function(value) {
+  const chunks = [];
+  encodeValue(value, chunks);
+  return Buffer.concat(chunks);
+};
+
+function encodeValue(value, chunks) {
+  if (Array.isArray(value)) {
+    chunks.push(header(ARRAY, value.length));
+    value.forEach(item => encodeValue(item, chunks));
+  } else if ("number" === typeof value) {
+    chunks.push(header(UINT, value));
+  } else if (Buffer.isBuffer(value)) {
+    chunks.push(header(BYTES, value.length), value);
+  } else {
+    const data = Buffer.from(value);
+    chunks.push(header(TEXT, data.length), data);
+  }
+}
+
+// 初始字节的高3位是主类型，低5位是值或者后续长度字段的大小
+function header(major, length) {
+  let buffer;
+  if (length < 24) {
+    buffer = Buffer.from([(major << 5) | length]);
+  } else if (length < 0x100) {
+    buffer = Buffer.from([(major << 5) | 24, length]);
+  } else if (length < 0x10000) {
+    buffer = Buffer.alloc(3);
+    buffer[0] = (major << 5) | 25;
+    buffer.writeUInt16BE(length, 1);
+  } else {
+    buffer = Buffer.alloc(5);
+    buffer[0] = (major << 5) | 26;
+    buffer.writeUInt32BE(length, 1);
+  }
+  return buffer;
+}
+
+/**
+ * Decodes a value.
+ *
+ * @param {Buffer} buffer
+ * @param {Number} offset
+ * @return {Object} `value` and `offset` of the next value
+ * @api private
+ */
+
+exports.decode = function(buffer, offset) {
+  const byte = readUInt(buffer, offset, 1);
+  const major = byte >> 5;
+  const info = byte & 0x1f;
+  offset++;
+
+  let length = info;
+  if (info >= 24) {
+    if (info > 26) throw new Error("unsupported length 0x" + info.toString(16));
+    const size = 1 << (info - 24);
+    length = readUInt(buffer, offset, size);
+    offset += size;
+  }
+
+  switch (major) {
+    case UINT:
+      return { value: length, offset: offset };
+    case BYTES:
+      return readData(buffer, offset, length);
+    case TEXT:
+      return readData(buffer, offset, length, "utf8");
+    case ARRAY: {
+      const value = [];
+      for (let i = 0; i < length; i++) {
+        const item = exports.decode(buffer, offset);
+        value.push(item.value);
+        offset = item.offset;
+      }
+      return { value: value, offset: offset };
+    }
+  }
+  throw new Error("unsupported major type " + major);
+};
+
+function readUInt(buffer, offset, size) {
+  if (offset + size > buffer.length) throw new Error("unexpected end of data");
+  return buffer.readUIntBE(offset, size);
+}
+
+function readData(buffer, offset, length, encoding) {
+  const end = offset + length;
+  if (end > buffer.length) throw new Error("unexpected end of data");
+  const data = buffer.slice(offset, end);
+  return {
+    value: encoding ? data.toString(encoding) : data,
+    offset: end
+  };
+}
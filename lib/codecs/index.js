@@ -0,0 +1,117 @@
+const parser = require("engine.io-parser");
+const debug = require("debug")("engine:codec");
+
+/**
+ * Packet codecs. A codec implements the encoding functions of
+ * `engine.io-parser`:
+ *
+ * - `encodePacket(packet, supportsBinary, fn)`
+ * - `decodePacket(data)`, returning an `error` packet for invalid data
+ * - `encodePayload(packets, supportsBinary, fn)`
+ * - `decodePayload(data, fn)`, `fn(packet)` returning `false` to stop
+ *
+ * along with a `name`, negotiated with the `codec` query parameter of the
+ * handshake, and a `binary` flag for codecs producing binary data, which
+ * cannot be used over the text only transports (JSONP, Server-Sent Events).
+ */
+
+const err = { type: "error", data: "parser error" };
+
+// 数据包的类型，和engine.io-parser的编号一致
+const types = Object.keys(parser.packets);
+
+// 基于二进制格式的编解码器：每个包编码成[类型, 数据]，payload是多个包直接拼接
+function createCodec(name, format) {
+  const codec = {
+    name: name,
+    binary: true,
+
+    encodePacket(packet, supportsBinary, fn) {
+      return fn(encode(packet));
+    },
+
+    decodePacket(data) {
+      const buffer = toBuffer(data);
+      const result = decode(buffer, 0);
+      if (!result || result.offset !== buffer.length) return err;
+      return result.packet;
+    },
+
+    encodePayload(packets, supportsBinary, fn) {
+      return fn(Buffer.concat(packets.map(encode)));
+    },
+
+    decodePayload(data, fn) {
+      const buffer = toBuffer(data);
+      let offset = 0;
+      if (!buffer.length) return fn(err, 0, 1);
+      for (let i = 0; offset < buffer.length; i++) {
+        const result = decode(buffer, offset);
+        if (!result) return fn(err, 0, 1);
+        offset = result.offset;
+        if (false === fn(result.packet, i)) return;
+      }
+    }
+  };
+
+  function encode(packet) {
+    const type = parser.packets[packet.type];
+    const values = [type];
+    if (undefined !== packet.data) values.push(toData(packet.data));
+    return format.encode(values);
+  }
+
+  function decode(buffer, offset) {
+    let result;
+    try {
+      result = format.decode(buffer, offset);
+    } catch (e) {
+      debug("%s decoding error: %s", name, e.message);
+      return null;
+    }
+    const values = result.value;
+    if (
+      !Array.isArray(values) ||
+      values.length < 1 ||
+      values.length > 2 ||
+      undefined === types[values[0]]
+    ) {
+      return null;
+    }
+    const packet = { type: types[values[0]] };
+    if (2 === values.length) packet.data = values[1];
+    return { packet: packet, offset: result.offset };
+  }
+
+  return codec;
+}
+
+/**
+ * Normalizes the data of a packet to a string or a Buffer.
+ *
+ * @api private
+ */
+
+function toData(data) {
+  if (Buffer.isBuffer(data)) return data;
+  if (data instanceof ArrayBuffer) return Buffer.from(data);
+  if (ArrayBuffer.isView(data)) {
+    return Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+  }
+  return String(data);
+}
+
+/**
+ * Converts the received data to a Buffer.
+ *
+ * @api private
+ */
+
+function toBuffer(data) {
+  if ("string" === typeof data) return Buffer.from(data);
+  return toData(data);
+}
+
+exports.createCodec = createCodec;
+exports.msgpack = createCodec("msgpack", require("./msgpack"));
+exports.cbor = createCodec("cbor", require("./cbor"));
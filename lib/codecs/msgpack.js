@@ -0,0 +1,122 @@
+/**
+ * Subset of MessagePack (https://msgpack.org) used by the packets: arrays,
+ * small positive integers, strings and binary data.
+ */
+
+/**
+ * Encodes a value.
+ *
+ * @param {Array|Number|String|Buffer} value
+ * @return {Buffer}
+ * @api private
+ */
+
+exports.encode = function(value) {
+  const chunks = [];
+  encodeValue(value, chunks);
+  return Buffer.concat(chunks);
+};
+
+function encodeValue(value, chunks) {
+  if (Array.isArray(value)) {
+    // fixarray, the packets have at most 2 items
+    chunks.push(Buffer.from([0x90 | value.length]));
+    value.forEach(item => encodeValue(item, chunks));
+  } else if ("number" === typeof value) {
+    // positive fixint
+    chunks.push(Buffer.from([value & 0x7f]));
+  } else if (Buffer.isBuffer(value)) {
+    chunks.push(header(value.length, 0xc4, 0xc5, 0xc6), value);
+  } else {
+    const data = Buffer.from(value);
+    chunks.push(
+      data.length < 32
+        ? Buffer.from([0xa0 | data.length])
+        : header(data.length, 0xd9, 0xda, 0xdb),
+      data
+    );
+  }
+}
+
+// 根据长度选择8位、16位或32位的长度字段
+function header(length, type8, type16, type32) {
+  let buffer;
+  if (length < 0x100) {
+    buffer = Buffer.from([type8, length]);
+  } else if (length < 0x10000) {
+    buffer = Buffer.alloc(3);
+    buffer[0] = type16;
+    buffer.writeUInt16BE(length, 1);
+  } else {
+    buffer = Buffer.alloc(5);
+    buffer[0] = type32;
+    buffer.writeUInt32BE(length, 1);
+  }
+  return buffer;
+}
+
+/**
+ * Decodes a value.
+ *
+ * @param {Buffer} buffer
+ * @param {Number} offset
+ * @return {Object} `value` and `offset` of the next value
+ * @api private
+ */
+
+exports.decode = function(buffer, offset) {
+  const byte = readUInt(buffer, offset, 1);
+  offset++;
+
+  if (byte < 0x80) return { value: byte, offset: offset };
+
+  if (0x90 === (byte & 0xf0)) {
+    const value = [];
+    for (let i = 0; i < (byte & 0x0f); i++) {
+      const item = exports.decode(buffer, offset);
+      value.push(item.value);
+      offset = item.offset;
+    }
+    return { value: value, offset: offset };
+  }
+
+  if (0xa0 === (byte & 0xe0)) {
+    return readData(buffer, offset, byte & 0x1f, "utf8");
+  }
+
+  switch (byte) {
+    case 0xc4:
+    case 0xc5:
+    case 0xc6: {
+      const size = 1 << (byte - 0xc4);
+      return readData(buffer, offset + size, readUInt(buffer, offset, size));
+    }
+    case 0xd9:
+    case 0xda:
+    case 0xdb: {
+      const size = 1 << (byte - 0xd9);
+      return readData(
+        buffer,
+        offset + size,
+        readUInt(buffer, offset, size),
+        "utf8"
+      );
+    }
+  }
+  throw new Error("unsupported type 0x" + byte.toString(16));
+};
+
+function readUInt(buffer, offset, size) {
+  if (offset + size > buffer.length) throw new Error("unexpected end of data");
+  return buffer.readUIntBE(offset, size);
+}
+
+function readData(buffer, offset, length, encoding) {
+  const end = offset + length;
+  if (end > buffer.length) throw new Error("unexpected end of data");
+  const data = buffer.slice(offset, end);
+  return {
+    value: encoding ? data.toString(encoding) : data,
+    offset: end
+  };
+}
@@ -30,12 +30,13 @@ exports = module.exports = function() {
 };
 
 /**
- * Protocol revision number.
+ * Protocol revision number. Clients of the previous revision (3) are
+ * accepted with the `allowEIO3` option.
  *
  * @api public
  */
 
-exports.protocol = 1;
+exports.protocol = 4;
 
 /**
  * Expose Server constructor.
@@ -69,6 +70,39 @@ exports.Transport = require("./transport");
 
 exports.transports = require("./transports");
 
+/**
+ * Expose session stores.
+ *
+ * @api public
+ */
+
+exports.MemoryStore = require("./store").MemoryStore;
+exports.FileStore = require("./store").FileStore;
+
+/**
+ * Expose cluster helpers.
+ *
+ * @api public
+ */
+
+exports.cluster = require("./cluster");
+
+/**
+ * Expose built-in codecs.
+ *
+ * @api public
+ */
+
+exports.codecs = require("./codecs");
+
+/**
+ * Expose the JSON Web Token verifier of the `auth` option.
+ *
+ * @api public
+ */
+
+exports.verifyJwt = require("./auth").verifyJwt;
+
 /**
  * Exports parser.
  *
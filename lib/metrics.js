@@ -0,0 +1,265 @@
+const debug = require("debug")("engine:metrics");
+const byteLength = require("./socket").byteLength;
+
+/**
+ * Default buckets of the ping round-trip time histogram, in seconds.
+ */
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+
+// 收集服务器的各项指标，可以以Prometheus的文本格式输出
+class Metrics {
+  /**
+   * Metrics collector, fed by the events of the server and its sockets.
+   *
+   * @param {Server} server
+   * @param {Object} options - `path` to serve the metrics from, `buckets`
+   *                           of the ping round-trip time histogram
+   * @api public
+   */
+  constructor(server, opts) {
+    this.opts = Object.assign({ path: null, buckets: DEFAULT_BUCKETS }, opts);
+
+    // active sessions, by transport
+    this.sessions = {};
+    this.handshakes = {};
+    // active sessions, by protocol version
+    this.protocols = {};
+    this.upgrades = 0;
+    this.upgradeTimeouts = 0;
+    this.upgradeFailures = 0;
+    this.packetsReceived = 0;
+    this.packetsSent = 0;
+    this.bytesReceived = 0;
+    this.bytesSent = 0;
+    // rejected requests, by error code
+    this.errors = {};
+
+    this.rtt = {
+      buckets: this.opts.buckets.slice().sort((a, b) => a - b),
+      counts: this.opts.buckets.map(() => 0),
+      sum: 0,
+      count: 0
+    };
+
+    server.on("connection", this.onConnection.bind(this));
+    // the open packet is flushed before the connection event
+    server.on("flush", (socket, packets) => {
+      this.packetsSent += packets.length;
+      for (let i = 0; i < packets.length; i++) {
+        this.bytesSent += byteLength(packets[i].data);
+      }
+    });
+    server.on("connectionError", err => {
+      increment(this.errors, err.code);
+    });
+  }
+
+  /**
+   * Tracks a new socket.
+   *
+   * @param {Socket} socket
+   * @api private
+   */
+  onConnection(socket) {
+    let transport = socket.transport.name;
+    increment(this.handshakes, transport);
+    increment(this.sessions, transport);
+    increment(this.protocols, socket.protocolVersion);
+
+    const move = name => {
+      if (transport) this.sessions[transport]--;
+      transport = name;
+      if (transport) increment(this.sessions, transport);
+    };
+
+    socket.on("upgrade", t => {
+      this.upgrades++;
+      move(t.name);
+    });
+    socket.on("upgradeError", reason => {
+      if ("upgrade timeout" === reason) {
+        this.upgradeTimeouts++;
+      } else {
+        this.upgradeFailures++;
+      }
+    });
+    socket.on("disconnect", () => move(null));
+    socket.on("resume", t => move(t.name));
+    socket.once("close", () => {
+      move(null);
+      this.protocols[socket.protocolVersion]--;
+    });
+
+    socket.on("packet", packet => {
+      this.packetsReceived++;
+      this.bytesReceived += byteLength(packet.data);
+    });
+    socket.on("latency", rtt => this.observeRtt(rtt / 1000));
+  }
+
+  /**
+   * Records a ping round-trip time.
+   *
+   * @param {Number} seconds
+   * @api private
+   */
+  observeRtt(value) {
+    const rtt = this.rtt;
+    for (let i = 0; i < rtt.buckets.length; i++) {
+      if (value <= rtt.buckets[i]) rtt.counts[i]++;
+    }
+    rtt.sum += value;
+    rtt.count++;
+  }
+
+  /**
+   * Renders the metrics in the Prometheus text format.
+   *
+   * @return {String}
+   * @api public
+   */
+  render() {
+    const lines = [];
+
+    function metric(name, type, help, values) {
+      lines.push("# HELP " + name + " " + help);
+      lines.push("# TYPE " + name + " " + type);
+      if ("object" !== typeof values) {
+        lines.push(name + " " + values);
+        return;
+      }
+      Object.keys(values).forEach(labels => {
+        lines.push(name + labels + " " + values[labels]);
+      });
+    }
+
+    metric(
+      "engineio_sessions_active",
+      "gauge",
+      "Number of active sessions.",
+      labelled("transport", this.sessions)
+    );
+    metric(
+      "engineio_protocol_sessions_active",
+      "gauge",
+      "Number of active sessions, by protocol version.",
+      labelled("protocol", this.protocols)
+    );
+    metric(
+      "engineio_handshakes_total",
+      "counter",
+      "Number of handshakes.",
+      labelled("transport", this.handshakes)
+    );
+    metric(
+      "engineio_upgrades_total",
+      "counter",
+      "Number of successful upgrades.",
+      this.upgrades
+    );
+    metric(
+      "engineio_upgrade_timeouts_total",
+      "counter",
+      "Number of upgrades not completed in time.",
+      this.upgradeTimeouts
+    );
+    metric(
+      "engineio_upgrade_failures_total",
+      "counter",
+      "Number of failed upgrades.",
+      this.upgradeFailures
+    );
+    metric(
+      "engineio_packets_received_total",
+      "counter",
+      "Number of packets received.",
+      this.packetsReceived
+    );
+    metric(
+      "engineio_packets_sent_total",
+      "counter",
+      "Number of packets sent.",
+      this.packetsSent
+    );
+    metric(
+      "engineio_bytes_received_total",
+      "counter",
+      "Size of the data of the packets received.",
+      this.bytesReceived
+    );
+    metric(
+      "engineio_bytes_sent_total",
+      "counter",
+      "Size of the data of the packets sent.",
+      this.bytesSent
+    );
+
+    const rtt = this.rtt;
+    const histogram = {};
+    rtt.buckets.forEach((bucket, i) => {
+      histogram['_bucket{le="' + bucket + '"}'] = rtt.counts[i];
+    });
+    histogram['_bucket{le="+Inf"}'] = rtt.count;
+    histogram["_sum"] = rtt.sum;
+    histogram["_count"] = rtt.count;
+    metric(
+      "engineio_ping_rtt_seconds",
+      "histogram",
+      "Round-trip time of the heartbeat.",
+      histogram
+    );
+
+    metric(
+      "engineio_errors_total",
+      "counter",
+      "Number of rejected requests, by error code.",
+      labelled("code", this.errors)
+    );
+
+    return lines.join("\n") + "\n";
+  }
+
+  /**
+   * Serves the metrics.
+   *
+   * @param {http.IncomingMessage} request
+   * @param {http.ServerResponse} response
+   * @api private
+   */
+  handleRequest(req, res) {
+    debug("serving metrics");
+    const body = this.render();
+    res.writeHead(200, {
+      "Content-Type": "text/plain; version=0.0.4; charset=utf-8",
+      "Content-Length": Buffer.byteLength(body)
+    });
+    res.end(body);
+  }
+}
+
+/**
+ * Increments a counter of a map.
+ *
+ * @api private
+ */
+
+function increment(map, key) {
+  map[key] = (map[key] || 0) + 1;
+}
+
+/**
+ * Converts a map to labelled values.
+ *
+ * @api private
+ */
+
+function labelled(label, map) {
+  const values = {};
+  Object.keys(map).forEach(key => {
+    values["{" + label + '="' + key + '"}'] = map[key];
+  });
+  return values;
+}
+
+module.exports = Metrics;
@@ -0,0 +1,52 @@
+const URL = require("url").URL;
+
+/**
+ * Compiles the `allowedOrigins` option into a function `(origin, req)`.
+ *
+ * The option can be a string, `*` matching any label of a host name (e.g.
+ * `https://*.example.com`), a regular expression, an array of those, or a
+ * function returning whether an origin is allowed.
+ *
+ * @param {String|RegExp|Array|Function} allowedOrigins option
+ * @return {Function}
+ * @api private
+ */
+
+function compileOrigins(value) {
+  if ("function" === typeof value) return value;
+  const patterns = [].concat(value).map(pattern => {
+    if (pattern instanceof RegExp) return pattern;
+    if ("*" === pattern) return /^/;
+    const source = String(pattern)
+      .toLowerCase()
+      .split("*")
+      .map(part => part.replace(/[.?+^$[\]\\(){}|-]/g, "\\$&"))
+      .join("[a-z0-9-]+(?:\\.[a-z0-9-]+)*");
+    return new RegExp("^" + source + "$");
+  });
+  return function(origin) {
+    return patterns.some(pattern => pattern.test(origin.toLowerCase()));
+  };
+}
+
+/**
+ * Returns the origin of a request: the `Origin` header, or for the requests
+ * without one (e.g. the script tags of JSONP), the origin of the `Referer`.
+ *
+ * @param {http.IncomingMessage} request
+ * @return {String} `null` if unknown
+ * @api private
+ */
+
+function requestOrigin(req) {
+  if (req.headers.origin) return req.headers.origin;
+  if (!req.headers.referer) return null;
+  try {
+    return new URL(req.headers.referer).origin;
+  } catch (e) {
+    return null;
+  }
+}
+
+exports.compileOrigins = compileOrigins;
+exports.requestOrigin = requestOrigin;
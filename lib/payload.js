@@ -0,0 +1,153 @@
+const parser = require("engine.io-parser");
+const debug = require("debug")("engine:payload");
+
+const err = { type: "error", data: "parser error" };
+
+// 二进制格式中，长度的每一位数字占一个字节，以255结束
+const LENGTH_END = 255;
+// digits of the largest accepted record length
+const MAX_DIGITS = 16;
+
+// 增量解码engine.io-parser的payload：每条记录完整后立即解码，不必等待整个请求体
+class PayloadDecoder {
+  /**
+   * Incremental decoder of the payloads of `engine.io-parser`.
+   *
+   * The text payloads are records of `<length>:<data>`, the length being
+   * counted in characters. The binary payloads are records of a type byte
+   * (0 for strings, 1 for binary data), the digits of the length in bytes,
+   * a 255 byte, and the data.
+   *
+   * @param {Object} options - `binary` for the binary format, and
+   *                           `maxPacketSize`, the largest accepted record
+   * @param {Function} callback, called with each packet, returning `false`
+   *                   to stop decoding
+   * @api private
+   */
+  constructor(opts, fn) {
+    this.binary = !!opts.binary;
+    this.maxPacketSize = opts.maxPacketSize || Infinity;
+    this.fn = fn;
+
+    // `length`, `type` (binary only) or `data`
+    this.state = this.binary ? "type" : "length";
+    this.isString = false;
+    this.length = "";
+    this.remaining = 0;
+    this.parts = [];
+    this.empty = true;
+    this.done = false;
+  }
+
+  /**
+   * Decodes a chunk of the payload.
+   *
+   * @param {String|Buffer} chunk
+   * @return {String} `packet` if a record is larger than `maxPacketSize`
+   * @api private
+   */
+  write(chunk) {
+    if (this.done || !chunk.length) return null;
+    this.empty = false;
+
+    let i = 0;
+    while (i < chunk.length && !this.done) {
+      if ("data" === this.state) {
+        const end = Math.min(chunk.length, i + this.remaining);
+        this.parts.push(chunk.slice(i, end));
+        this.remaining -= end - i;
+        i = end;
+        if (!this.remaining) this.flush();
+        continue;
+      }
+
+      const value = this.binary ? chunk[i] : chunk.charAt(i);
+      i++;
+
+      if ("type" === this.state) {
+        if (0 !== value && 1 !== value) return this.error();
+        this.isString = 0 === value;
+        this.state = "length";
+        continue;
+      }
+
+      if ((this.binary ? LENGTH_END : ":") !== value) {
+        // 长度只能由数字组成
+        const digit = this.binary ? value : value.charCodeAt(0) - 48;
+        if (!(digit >= 0 && digit <= 9) || this.length.length >= MAX_DIGITS) {
+          return this.error();
+        }
+        this.length += digit;
+        if (Number(this.length) > this.maxPacketSize) {
+          debug("record larger than %d", this.maxPacketSize);
+          this.done = true;
+          return "packet";
+        }
+        continue;
+      }
+
+      if (!this.length) return this.error();
+      this.remaining = Number(this.length);
+      this.state = "data";
+      if (!this.remaining) this.flush();
+    }
+    return null;
+  }
+
+  /**
+   * Decodes the complete record.
+   *
+   * @api private
+   */
+  flush() {
+    let data;
+    if (!this.binary) {
+      data = this.parts.join("");
+    } else {
+      data = Buffer.concat(this.parts);
+      if (this.isString) data = data.toString("latin1");
+    }
+    this.parts = [];
+    this.length = "";
+    this.state = this.binary ? "type" : "length";
+
+    // the empty records of the text format are skipped
+    if (!data.length && !this.binary) return;
+
+    const packet = parser.decodePacket(data, undefined, this.binary);
+    if (err.type === packet.type && err.data === packet.data) {
+      this.error();
+      return;
+    }
+    if (false === this.fn(packet)) this.done = true;
+  }
+
+  /**
+   * Checks that the payload ended on a complete record.
+   *
+   * @api private
+   */
+  end() {
+    if (this.done) return;
+    const partial = this.binary ? "type" !== this.state : this.length;
+    if ("data" === this.state || partial || (this.empty && !this.binary)) {
+      this.error();
+      return;
+    }
+    this.done = true;
+  }
+
+  /**
+   * Reports a malformed payload: the rest of the payload is ignored.
+   *
+   * @api private
+   */
+  error() {
+    debug("malformed payload");
+    this.done = true;
+    this.fn(err);
+    return null;
+  }
+}
+
+module.exports = PayloadDecoder;
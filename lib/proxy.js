@@ -0,0 +1,250 @@
+const net = require("net");
+
+/**
+ * Resolution of the client address behind reverse proxies.
+ *
+ * The addresses announced by the proxies (`Forwarded`, `X-Forwarded-For` or
+ * `X-Real-IP` headers) are walked from the nearest to the farthest, as long
+ * as the current hop is trusted. The `trustProxy` option can be:
+ *
+ * - `true` to trust every hop
+ * - a number of hops to trust, the peer of the connection being hop 0
+ * - a list of addresses and CIDR ranges (array or comma-separated string)
+ */
+
+/**
+ * Compiles the `trustProxy` option into a function `(address, hop)`.
+ *
+ * @param {Boolean|Number|String|Array} trustProxy option
+ * @return {Function}
+ * @api private
+ */
+
+function compileTrust(value) {
+  if (true === value) return () => true;
+  if (!value) return () => false;
+  if ("number" === typeof value) return (address, hop) => hop < value;
+
+  const ranges = ("string" === typeof value ? value.split(",") : value).map(
+    parseRange
+  );
+  return function(address) {
+    const bytes = parseIp(address);
+    return null !== bytes && ranges.some(range => matchRange(range, bytes));
+  };
+}
+
+/**
+ * Resolves the client of a request.
+ *
+ * @param {http.IncomingMessage} request
+ * @param {Function} compiled `trustProxy` option
+ * @return {Object} `address`, `port`, `protocol` (`http` or `https`) and
+ *                  `chain`, the addresses from the client to the peer
+ * @api private
+ */
+
+function resolve(req, trust) {
+  // the connection of a websocket might not be attached to the request later
+  const conn =
+    req.websocket && req.websocket._socket
+      ? req.websocket._socket
+      : req.connection;
+  const peer = {
+    address: conn.remoteAddress,
+    port: conn.remotePort,
+    proto: conn.encrypted ? "https" : "http"
+  };
+
+  const hops = [peer];
+  if (trust(peer.address, 0)) {
+    hops.push.apply(hops, forwardedHops(req.headers).reverse());
+  }
+
+  // 从最近的一跳开始，直到遇到不受信任的地址
+  let i = 0;
+  while (i < hops.length - 1 && trust(hops[i].address, i)) i++;
+
+  const client = hops[i];
+  return {
+    address: client.address,
+    port: client.port,
+    protocol: client.proto || peer.proto,
+    chain: hops
+      .slice(0, i + 1)
+      .map(hop => hop.address)
+      .reverse()
+  };
+}
+
+/**
+ * Returns the hops announced by the headers, from the farthest.
+ *
+ * @param {Object} headers
+ * @return {Array}
+ * @api private
+ */
+
+function forwardedHops(headers) {
+  if (headers.forwarded) {
+    const elements = parseForwarded(headers.forwarded);
+    if (elements) {
+      return elements
+        .filter(element => element.for)
+        .map(element => {
+          const hop = parseNode(element.for);
+          const proto = (element.proto || "").toLowerCase();
+          if ("http" === proto || "https" === proto) hop.proto = proto;
+          return hop;
+        });
+    }
+  }
+
+  let addresses = [];
+  if (headers["x-forwarded-for"]) {
+    addresses = headers["x-forwarded-for"].split(",");
+  } else if (headers["x-real-ip"]) {
+    addresses = [headers["x-real-ip"]];
+  }
+  const proto = (headers["x-forwarded-proto"] || "")
+    .split(",")[0]
+    .trim()
+    .toLowerCase();
+  return addresses
+    .map(address => address.trim())
+    .filter(address => address)
+    .map(address => ({
+      address: address,
+      port: null,
+      proto: "http" === proto || "https" === proto ? proto : null
+    }));
+}
+
+/**
+ * Parses a `Forwarded` header (RFC 7239).
+ *
+ * @param {String} header
+ * @return {Array} the elements, `null` if the header is malformed
+ * @api private
+ */
+
+function parseForwarded(header) {
+  const rPair = /\s*([^=;,\s]+)=("(?:[^"\\]|\\.)*"|[^;,\s]*)\s*([;,]|$)/y;
+  const elements = [];
+  let element = {};
+  let match;
+
+  while ((match = rPair.exec(header))) {
+    let value = match[2];
+    if ('"' === value[0]) value = value.slice(1, -1).replace(/\\(.)/g, "$1");
+    element[match[1].toLowerCase()] = value;
+    if (";" === match[3]) continue;
+    elements.push(element);
+    if (!match[3]) return elements;
+    element = {};
+  }
+  return null;
+}
+
+/**
+ * Parses a node of the `Forwarded` header: an address, possibly with a port.
+ * IPv6 addresses are enclosed in brackets.
+ *
+ * @param {String} node
+ * @return {Object} `address` and `port`
+ * @api private
+ */
+
+function parseNode(node) {
+  let match = /^\[([^\]]*)\](?::(\d+))?$/.exec(node);
+  if (!match) match = /^([^:]*)(?::(\d+))?$/.exec(node);
+  if (!match) return { address: node, port: null };
+  return {
+    address: match[1],
+    port: match[2] ? Number(match[2]) : null
+  };
+}
+
+/**
+ * Parses an address or a CIDR range.
+ *
+ * @param {String} range
+ * @return {Object} `bytes` and `prefix` length in bits
+ * @api private
+ */
+
+function parseRange(range) {
+  const parts = range.trim().split("/");
+  const bytes = parseIp(parts[0]);
+  if (null === bytes || parts.length > 2) {
+    throw new Error('invalid trustProxy address "' + range + '"');
+  }
+  const prefix = 2 === parts.length ? Number(parts[1]) : bytes.length * 8;
+  if (!/^\d+$/.test(parts[1] || "0") || prefix > bytes.length * 8) {
+    throw new Error('invalid trustProxy address "' + range + '"');
+  }
+  return { bytes: bytes, prefix: prefix };
+}
+
+function matchRange(range, bytes) {
+  if (range.bytes.length !== bytes.length) return false;
+  for (let bit = 0; bit < range.prefix; bit += 8) {
+    const bits = Math.min(8, range.prefix - bit);
+    const mask = (0xff << (8 - bits)) & 0xff;
+    const i = bit / 8;
+    if ((range.bytes[i] & mask) !== (bytes[i] & mask)) return false;
+  }
+  return true;
+}
+
+/**
+ * Parses an IP address into its bytes. IPv4-mapped IPv6 addresses are
+ * returned as IPv4 addresses.
+ *
+ * @param {String} address
+ * @return {Array} `null` if not an IP address
+ * @api private
+ */
+
+function parseIp(address) {
+  if (net.isIPv4(address)) return address.split(".").map(Number);
+  if (!net.isIPv6(address)) return null;
+
+  // 展开末尾的IPv4部分和省略的零
+  let groups = address.split(":");
+  const last = groups[groups.length - 1];
+  if (net.isIPv4(last)) {
+    const v4 = last.split(".").map(Number);
+    groups.splice(
+      -1,
+      1,
+      ((v4[0] << 8) | v4[1]).toString(16),
+      ((v4[2] << 8) | v4[3]).toString(16)
+    );
+  }
+  const gap = groups.indexOf("");
+  if (-1 !== gap) {
+    const head = groups.slice(0, gap).filter(group => group);
+    const tail = groups.slice(gap + 1).filter(group => group);
+    const zeros = new Array(8 - head.length - tail.length).fill("0");
+    groups = head.concat(zeros, tail);
+  }
+
+  const bytes = [];
+  groups.forEach(group => {
+    const value = parseInt(group, 16);
+    bytes.push(value >> 8, value & 0xff);
+  });
+
+  const mapped =
+    bytes.slice(0, 10).every(byte => 0 === byte) &&
+    0xff === bytes[10] &&
+    0xff === bytes[11];
+  return mapped ? bytes.slice(12) : bytes;
+}
+
+exports.compileTrust = compileTrust;
+exports.resolve = resolve;
+exports.parseForwarded = parseForwarded;
+exports.parseIp = parseIp;
+exports.matchRange = matchRange;
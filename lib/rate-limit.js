@@ -0,0 +1,124 @@
+/**
+ * Token bucket: `rate` tokens are added every second, up to `capacity`.
+ */
+
+class TokenBucket {
+  /**
+   * Token bucket constructor.
+   *
+   * @param {Number} tokens per second
+   * @param {Number} capacity, the allowed burst
+   * @api private
+   */
+  constructor(rate, capacity) {
+    this.rate = rate;
+    this.capacity = capacity;
+    this.tokens = capacity;
+    this.last = Date.now();
+  }
+
+  /**
+   * Adds the tokens earned since the last refill.
+   *
+   * @api private
+   */
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(
+      this.capacity,
+      this.tokens + ((now - this.last) / 1000) * this.rate
+    );
+    this.last = now;
+  }
+
+  /**
+   * Removes tokens, possibly going below zero.
+   *
+   * @param {Number} count
+   * @api private
+   */
+  take(count) {
+    this.tokens -= count;
+  }
+
+  /**
+   * Returns the time to wait until the bucket is no longer overdrawn, in ms.
+   *
+   * @return {Number}
+   * @api private
+   */
+  wait() {
+    this.refill();
+    return this.tokens >= 0 ? 0 : Math.ceil((-this.tokens / this.rate) * 1000);
+  }
+}
+
+// 每个socket的限流器，同时限制每秒的包数和字节数
+class RateLimiter {
+  /**
+   * Rate limiter of the incoming messages.
+   *
+   * @param {Object} options - `packets` and `bytes` per second (0 for no
+   *                           limit), `burst` in seconds of traffic
+   * @api private
+   */
+  constructor(opts) {
+    const burst = opts.burst || 1;
+    this.buckets = {};
+    if (opts.packets) {
+      this.buckets.packets = new TokenBucket(
+        opts.packets,
+        opts.packets * burst
+      );
+    }
+    if (opts.bytes) {
+      this.buckets.bytes = new TokenBucket(opts.bytes, opts.bytes * burst);
+    }
+  }
+
+  /**
+   * Checks whether a message can be accepted, and takes the tokens if so.
+   *
+   * @param {Number} size of the message
+   * @return {String} the exceeded limit (`packets` or `bytes`), if any
+   * @api private
+   */
+  check(size) {
+    const costs = { packets: 1, bytes: size };
+    const names = Object.keys(this.buckets);
+    for (let i = 0; i < names.length; i++) {
+      const bucket = this.buckets[names[i]];
+      bucket.refill();
+      if (bucket.tokens < costs[names[i]]) return names[i];
+    }
+    this.force(size);
+    return null;
+  }
+
+  /**
+   * Takes the tokens of a message regardless of the limits.
+   *
+   * @param {Number} size of the message
+   * @api private
+   */
+  force(size) {
+    if (this.buckets.packets) this.buckets.packets.take(1);
+    if (this.buckets.bytes) this.buckets.bytes.take(size);
+  }
+
+  /**
+   * Returns the time to wait until the limits are respected again, in ms.
+   *
+   * @return {Number}
+   * @api private
+   */
+  wait() {
+    return Object.keys(this.buckets).reduce(
+      (max, name) => Math.max(max, this.buckets[name].wait()),
+      0
+    );
+  }
+}
+
+exports.TokenBucket = TokenBucket;
+exports.RateLimiter = RateLimiter;
@@ -1,4 +1,5 @@
 const qs = require("querystring");
+const http = require("http");
 const parse = require("url").parse;
 const base64id = require("base64id");
 const transports = require("./transports");
@@ -6,6 +7,13 @@ const EventEmitter = require("events").EventEmitter;
 const Socket = require("./socket");
 const debug = require("debug")("engine");
 const cookieMod = require("cookie");
+const MemoryStore = require("./store").MemoryStore;
+const Metrics = require("./metrics");
+const proxy = require("./proxy");
+const SessionBinding = require("./binding");
+const Authenticator = require("./auth").Authenticator;
+const origins = require("./origin");
+const signature = require("./signature");
 
 class Server extends EventEmitter {
   /**
@@ -16,9 +24,17 @@ class Server extends EventEmitter {
    */
   constructor(opts = {}) {
     super();
-    
+
     this.clients = {};
     this.clientsCount = 0;
+    // 每个ip的连接数
+    this.ipConnections = new Map();
+    // 分组名称到其中的socket的映射
+    this.groups = new Map();
+    // 是否正在排空，排空时不再接受新的握手
+    this.draining = false;
+    // 请求的中间件，在校验请求之前执行
+    this.middlewares = [];
 
     this.opts = Object.assign(
       {
@@ -26,6 +42,32 @@ class Server extends EventEmitter {
         pingTimeout: 5000,
         pingInterval: 25000,
         upgradeTimeout: 10000,
+        resumeTimeout: 0,
+        resumeBufferSize: 100,
+        requestTimeout: 10000,
+        maxBufferedPackets: 0,
+        maxBufferedBytes: 0,
+        bufferOverflow: "close",
+        nodeId: String(process.pid),
+        metrics: false,
+        allowEIO3: false,
+        codecs: [],
+        streamChunkSize: 64 * 1024,
+        maxReadStreams: 100,
+        streamingMaxBytes: 128 * 1024,
+        streamingMaxAge: 25000,
+        maxConnections: 0,
+        maxConnectionsPerIp: 0,
+        trustProxy: false,
+        rateLimit: false,
+        sessionBinding: false,
+        auth: false,
+        allowedOrigins: null,
+        originReportOnly: false,
+        jsonp: true,
+        bodyTimeout: 0,
+        minBodyRate: 0,
+        maxPollDuration: 0,
         maxHttpBufferSize: 1e6,
         transports: Object.keys(transports),
         allowUpgrades: true,
@@ -40,20 +82,49 @@ class Server extends EventEmitter {
       opts
     );
 
+    // 判断转发请求的代理是否可信
+    this.trust = proxy.compileTrust(this.opts.trustProxy);
+    // 会话绑定，检查握手之后的请求是否来自同一个客户端
+    this.binding = this.opts.sessionBinding
+      ? new SessionBinding(this.opts.sessionBinding)
+      : null;
+    // 握手时的身份认证
+    this.auth = this.opts.auth ? new Authenticator(this.opts.auth) : null;
+    // 允许的来源，websocket的升级请求不经过cors中间件，需要单独检查
+    this.originCheck = this.opts.allowedOrigins
+      ? origins.compileOrigins(this.opts.allowedOrigins)
+      : null;
+
     if (opts.cookie) {
       this.opts.cookie = Object.assign(
         {
           name: "io",
           path: "/",
           httpOnly: opts.cookie.path !== false,
-          sameSite: "lax"
+          sameSite: "lax",
+          // 为true时每个响应都重新发送cookie，刷新过期时间
+          rolling: false
         },
         opts.cookie
       );
     }
+    // 签名cookie的密钥，第一个用于签名，其余的用于轮换期间的校验
+    this.cookieSecrets = this.opts.cookie
+      ? [].concat(this.opts.cookie.secret || [])
+      : [];
 
     if (this.opts.cors) {
-      this.corsMiddleware = require("cors")(this.opts.cors);
+      this.use(require("cors")(this.opts.cors));
+    }
+
+    // 记录每个session属于哪个进程
+    this.store = this.opts.store || new MemoryStore();
+
+    if (this.opts.metrics) {
+      this.metrics = new Metrics(
+        this,
+        true === this.opts.metrics ? {} : this.opts.metrics
+      );
     }
 
     this.init();
@@ -80,6 +151,15 @@ class Server extends EventEmitter {
       perMessageDeflate: this.opts.perMessageDeflate,
       maxPayload: this.opts.maxHttpBufferSize
     });
+
+    const binding = this.binding;
+    if (binding && binding.cookieName) {
+      // websocket的握手响应由ws模块写入，在这里附加绑定的cookie
+      this.ws.on("headers", (headers, req) => {
+        if (req._query.sid) return;
+        headers.push("Set-Cookie: " + binding.cookie(binding.nonce(req)));
+      });
+    }
   }
 
   /**
@@ -119,32 +199,317 @@ class Server extends EventEmitter {
       debug("origin header invalid");
       return fn(Server.errors.BAD_REQUEST, false);
     }
+    if (this.originCheck && !this.checkOrigin(req)) {
+      return fn(Server.errors.ORIGIN_NOT_ALLOWED, false);
+    }
 
     // sid check
     const sid = req._query.sid;
     if (sid) {
       // 非法的sid
       if (!this.clients.hasOwnProperty(sid)) {
-        debug('unknown sid "%s"', sid);
-        return fn(Server.errors.UNKNOWN_SID, false);
+        // only the polling requests can be forwarded
+        if (upgrade || !this.opts.forwardRequest || "polling" !== transport) {
+          debug('unknown sid "%s"', sid);
+          return fn(Server.errors.UNKNOWN_SID, false);
+        }
+        // 可能是其他进程的session
+        return this.verifyRemote(req, sid, fn);
       }
       // sid对应的管道名称和客户端传过来的不一样，并且不是切换协议（upgrade为false）的请求
-      if (!upgrade && this.clients[sid].transport.name !== transport) {
+      // 等待恢复的会话可以使用任意通道
+      if (
+        !upgrade &&
+        "disconnected" !== this.clients[sid].readyState &&
+        this.clients[sid].transport.name !== transport
+      ) {
         debug("bad request: unexpected transport without upgrade");
         return fn(Server.errors.BAD_REQUEST, false);
       }
+      if (!this.checkCookie(req)) {
+        debug('invalid cookie for session "%s"', sid);
+        return fn(Server.errors.INVALID_COOKIE, false);
+      }
+      // 请求必须来自握手的客户端
+      const binding = this.clients[sid].binding;
+      if (binding) {
+        const check = this.binding.check(binding, req, this.clientIp(req));
+        if (check) {
+          debug('session "%s" binding check "%s" failed', sid, check);
+          this.emit("hijackAttempt", { req: req, id: sid, check: check });
+          return fn(Server.errors.SESSION_BINDING_MISMATCH, false);
+        }
+      }
     } else {
       // handshake is GET only 升级协议只能是GET请求
       if ("GET" !== req.method)
         return fn(Server.errors.BAD_HANDSHAKE_METHOD, false);
-      if (!this.opts.allowRequest) return fn(null, true);
-      // 自定义判断
-      return this.opts.allowRequest(req, fn);
+      // 协议版本，没有EIO参数时当作当前版本
+      const protocol = req._query.EIO;
+      if (
+        undefined !== protocol &&
+        "4" !== protocol &&
+        !("3" === protocol && this.opts.allowEIO3)
+      ) {
+        debug('unsupported protocol version "%s"', protocol);
+        return fn(Server.errors.UNSUPPORTED_PROTOCOL_VERSION, false);
+      }
+      if (this.draining) {
+        debug("rejecting handshake while draining");
+        return fn(Server.errors.SERVER_DRAINING, false);
+      }
+      if (this.isOverLimit(req)) {
+        return fn(Server.errors.TOO_MANY_CONNECTIONS, false);
+      }
+      if (this.auth) {
+        return this.authenticate(req, (err, success) => {
+          if (!success) return fn(err, false);
+          this.allowRequest(req, fn);
+        });
+      }
+      return this.allowRequest(req, fn);
     }
 
     fn(null, true);
   }
 
+  /**
+   * Checks the origin of a request against the `allowedOrigins` option, and
+   * emits `originViolation` if it is not allowed. With `originReportOnly`,
+   * the request is accepted anyway.
+   *
+   * The requests without origin are accepted, polling requests and upgrades
+   * alike, as sent by the clients outside of browsers. The JSONP requests are
+   * the exception: the browsers omit the origin of a `<script>` tag with
+   * `Referrer-Policy: no-referrer`.
+   *
+   * @param {http.IncomingMessage} request
+   * @return {Boolean}
+   * @api private
+   */
+  checkOrigin(req) {
+    const origin = origins.requestOrigin(req);
+    if (null === origin) {
+      if (undefined === req._query.j) return true;
+    } else if (this.originCheck(origin, req)) {
+      return true;
+    }
+
+    const reportOnly = this.opts.originReportOnly;
+    debug('origin "%s" not allowed%s', origin, reportOnly ? " (report)" : "");
+    this.emit("originViolation", {
+      req: req,
+      origin: origin,
+      reportOnly: reportOnly
+    });
+    return reportOnly;
+  }
+
+  /**
+   * Applies the `allowRequest` option to a handshake.
+   *
+   * @param {http.IncomingMessage} request
+   * @param {Function} callback
+   * @api private
+   */
+  allowRequest(req, fn) {
+    if (!this.opts.allowRequest) return fn(null, true);
+    // 自定义判断
+    this.opts.allowRequest(req, fn);
+  }
+
+  /**
+   * Verifies the token of a handshake (`auth` option). The claims are kept
+   * on the request, for the socket.
+   *
+   * @param {http.IncomingMessage} request
+   * @param {Function} callback
+   * @api private
+   */
+  authenticate(req, fn) {
+    this.auth.verify(this.auth.token(req), req).then(
+      claims => {
+        req._claims = claims;
+        fn(null, true);
+      },
+      err => {
+        debug("authentication failed: %s", err.message);
+        this.emit("authError", { req: req, error: err });
+        fn(Server.errors.UNAUTHORIZED, false);
+      }
+    );
+  }
+
+  /**
+   * Checks the `maxConnections` and `maxConnectionsPerIp` limits for a new
+   * session, emits `connectionLimit` when one of them is reached.
+   *
+   * @param {http.IncomingMessage} request
+   * @return {Boolean}
+   * @api private
+   */
+  isOverLimit(req) {
+    const maxConnections = this.opts.maxConnections;
+    const maxPerIp = this.opts.maxConnectionsPerIp;
+
+    let limit = null;
+    let count;
+    const ip = this.clientIp(req);
+    if (maxConnections && this.clientsCount >= maxConnections) {
+      limit = "global";
+      count = this.clientsCount;
+    } else if (maxPerIp && (this.ipConnections.get(ip) || 0) >= maxPerIp) {
+      limit = "ip";
+      count = this.ipConnections.get(ip);
+    }
+    if (!limit) return false;
+
+    debug('%s connection limit reached for "%s"', limit, ip);
+    this.emit("connectionLimit", {
+      req: req,
+      ip: ip,
+      limit: limit,
+      count: count
+    });
+    return true;
+  }
+
+  /**
+   * Resolves the client of a request. Behind trusted proxies (`trustProxy`
+   * option), the client is read from the `Forwarded`, `X-Forwarded-For` or
+   * `X-Real-IP` headers.
+   *
+   * @param {http.IncomingMessage} request
+   * @return {Object} `address`, `port`, `protocol` (`http` or `https`) and
+   *                  `chain` of addresses, from the client to the peer
+   * @api public
+   */
+  resolveClient(req) {
+    if (!req._client) req._client = proxy.resolve(req, this.trust);
+    return req._client;
+  }
+
+  /**
+   * Returns the address of the client.
+   *
+   * @param {http.IncomingMessage} request
+   * @return {String}
+   * @api public
+   */
+  clientIp(req) {
+    return this.resolveClient(req).address;
+  }
+
+  /**
+   * Adds a Connect-style middleware, run for every HTTP request and upgrade
+   * before its verification. Properties added to the request are available
+   * on the socket through `socket.request`.
+   *
+   * Calling `next(err)` rejects the request with `err.status` (403 by
+   * default) and a JSON body, `err.data` if defined.
+   *
+   * @param {Function} middleware `(req, res, next)`
+   * @return {Server} for chaining
+   * @api public
+   */
+  use(fn) {
+    this.middlewares.push(fn);
+    return this;
+  }
+
+  /**
+   * Runs the middlewares in order.
+   *
+   * @param {http.IncomingMessage} request
+   * @param {http.ServerResponse} response
+   * @param {Function} callback
+   * @api private
+   */
+  applyMiddlewares(req, res, callback) {
+    const middlewares = this.middlewares;
+
+    function apply(i) {
+      if (i === middlewares.length) return callback();
+      debug("applying middleware n°%d", i + 1);
+
+      // 只捕获中间件本身抛出的异常，next()同步调用时，在try之外继续
+      let running = true;
+      let called = false;
+      let result;
+      function next(err) {
+        if (called) return;
+        called = true;
+        if (running) {
+          result = err;
+          return;
+        }
+        proceed(err);
+      }
+      function proceed(err) {
+        if (err) return callback(err);
+        apply(i + 1);
+      }
+
+      try {
+        middlewares[i](req, res, next);
+      } catch (err) {
+        running = false;
+        callback(err);
+        return;
+      }
+      running = false;
+      if (called) proceed(result);
+    }
+
+    apply(0);
+  }
+
+  /**
+   * Looks up a sid unknown to this process in the session store. If another
+   * process owns the session, the request is flagged to be forwarded.
+   *
+   * @param {http.IncomingMessage} request
+   * @param {String} sid
+   * @param {Function} callback
+   * @api private
+   */
+  verifyRemote(req, sid, fn) {
+    const onSession = (err, session) => {
+      if (err) debug('error while looking up sid "%s": %s', sid, err);
+      if (!session || session.nodeId === this.opts.nodeId) {
+        debug('unknown sid "%s"', sid);
+        return fn(Server.errors.UNKNOWN_SID, false);
+      }
+      debug('sid "%s" is owned by node "%s"', sid, session.nodeId);
+      req._nodeId = session.nodeId;
+      fn(null, true);
+    };
+    // the callback is called outside of the promise chain, so that its
+    // errors are not turned into unhandled rejections
+    this.store.get(sid).then(
+      session => process.nextTick(onSession, null, session),
+      err => process.nextTick(onSession, err, null)
+    );
+  }
+
+  /**
+   * Emits a `connectionError` event for a rejected request.
+   *
+   * @param {http.IncomingMessage} request
+   * @param {Number|String} error code
+   * @api private
+   */
+  emitConnectionError(req, code) {
+    const known = Server.errorMessages.hasOwnProperty(code);
+    this.emit("connectionError", {
+      req: req,
+      code: known ? code : Server.errors.FORBIDDEN,
+      message: known
+        ? Server.errorMessages[code]
+        : code || Server.errorMessages[Server.errors.FORBIDDEN]
+    });
+  }
+
   /**
    * Prepares a request by processing the query string.
    *
@@ -181,6 +546,148 @@ class Server extends EventEmitter {
     return this;
   }
 
+  /**
+   * Sends a message to many clients. The packet is shared by the clients,
+   * so that it is encoded once per binary mode rather than once per client.
+   *
+   * @param {String|Buffer} data
+   * @param {Object} options - `to`: group name(s) to send to (all the clients
+   *                           by default), `except`: sid(s) or socket(s) to
+   *                           skip, `compress`
+   * @return {Server} for chaining
+   * @api public
+   */
+  broadcast(data, options) {
+    options = options || {};
+
+    const packet = {
+      type: "message",
+      options: { compress: false !== options.compress },
+      encoded: {}
+    };
+    if (data) packet.data = data;
+
+    const except = new Set(
+      []
+        .concat(options.except || [])
+        .map(item => ("string" === typeof item ? item : item.id))
+    );
+
+    let recipients;
+    if (undefined === options.to) {
+      recipients = Object.keys(this.clients).map(id => this.clients[id]);
+    } else {
+      // 同时在多个分组中的socket只发送一次
+      const members = new Set();
+      [].concat(options.to).forEach(name => {
+        const group = this.groups.get(name);
+        if (group) group.forEach(socket => members.add(socket));
+      });
+      recipients = Array.from(members);
+    }
+
+    debug("broadcasting message to %d clients", recipients.length);
+    recipients.forEach(socket => {
+      if (!except.has(socket.id)) socket.bufferPacket(packet);
+    });
+    return this;
+  }
+
+  /**
+   * Targets a group for a broadcast:
+   *
+   *     server.to("room").except(socket).send("hello");
+   *
+   * @param {String} name
+   * @return {BroadcastOperator}
+   * @api public
+   */
+  to(name) {
+    return new BroadcastOperator(this).to(name);
+  }
+
+  /**
+   * Aggregates the round-trip time of the connected clients, in ms.
+   *
+   * @return {Object} `count` of the measured clients, `min` and `max` of their
+   *                  last round-trip time, `avg` of their smoothed average
+   * @api public
+   */
+  latency() {
+    const result = { count: 0, min: null, max: null, avg: null };
+    let sum = 0;
+    for (let id in this.clients) {
+      if (!this.clients.hasOwnProperty(id)) continue;
+      const rtt = this.clients[id].rtt;
+      // 还没有完成过一次心跳
+      if (null === rtt.last) continue;
+      result.count++;
+      result.min =
+        null === result.min ? rtt.last : Math.min(result.min, rtt.last);
+      result.max =
+        null === result.max ? rtt.last : Math.max(result.max, rtt.last);
+      sum += rtt.avg;
+    }
+    if (result.count) result.avg = sum / result.count;
+    return result;
+  }
+
+  /**
+   * Gracefully closes all clients, e.g. before a rolling restart.
+   *
+   * New handshakes are rejected with the `SERVER_DRAINING` error. Each client
+   * is closed after a random delay within `window`, once its buffered packets
+   * are flushed, and is optionally asked to reconnect beforehand. The clients
+   * still open after `timeout` are closed forcibly.
+   *
+   * @param {Object} options - `timeout` in ms (10000 by default), `window` in
+   *                           ms (half of the timeout by default), `reconnect`
+   *                           (`true` or the url to reconnect to)
+   * @return {Promise} resolved once all clients are closed
+   * @api public
+   */
+  drain(options) {
+    const opts = Object.assign({ timeout: 10000, reconnect: false }, options);
+    const window =
+      opts.window !== undefined ? opts.window : Math.floor(opts.timeout / 2);
+
+    debug("draining %d clients", this.clientsCount);
+    this.draining = true;
+
+    const sockets = Object.keys(this.clients).map(id => this.clients[id]);
+
+    return new Promise(resolve => {
+      let remaining = sockets.length;
+      if (!remaining) return resolve();
+
+      const timers = [];
+      // 超时后强制关闭剩下的连接
+      const forceTimer = setTimeout(() => {
+        debug("drain timeout, closing %d clients", remaining);
+        timers.forEach(clearTimeout);
+        sockets.forEach(socket => socket.onClose("forced close"));
+      }, opts.timeout);
+
+      sockets.forEach(socket => {
+        socket.once("close", () => {
+          if (--remaining) return;
+          clearTimeout(forceTimer);
+          timers.forEach(clearTimeout);
+          resolve();
+        });
+
+        // 分散关闭的时间，避免所有客户端同时重连
+        const timer = setTimeout(() => {
+          if (opts.reconnect && "open" === socket.readyState) {
+            socket.sendReconnect(true === opts.reconnect ? "" : opts.reconnect);
+          }
+          socket.close();
+        }, Math.random() * window);
+        timers.push(timer);
+      });
+    });
+  }
+
   /**
    * Handles an Engine.IO HTTP request.
    *
@@ -196,25 +703,38 @@ class Server extends EventEmitter {
 
     const callback = (err, success) => {
       if (!success) {
+        this.emitConnectionError(req, err);
         sendErrorMessage(req, res, err);
         return;
       }
+      // 交给拥有该session的进程处理
+      if (req._nodeId) {
+        this.opts.forwardRequest(req, res, req._nodeId);
+        return;
+      }
       // 有sid说明已经建立了数据通道，则处理数据，否则握手
       if (req._query.sid) {
+        const client = this.clients[req._query.sid];
+        if ("disconnected" === client.readyState) {
+          this.resume(client, req);
+          return;
+        }
         debug("setting new request for existing client");
-        this.clients[req._query.sid].transport.onRequest(req);
+        client.transport.onRequest(req);
       } else {
         this.handshake(req._query.transport, req);
       }
     };
 
-    if (this.corsMiddleware) {
-      this.corsMiddleware.call(null, req, res, () => {
-        this.verify(req, false, callback);
-      });
-    } else {
+    this.applyMiddlewares(req, res, err => {
+      if (err) {
+        debug("request rejected by middleware");
+        this.emitConnectionError(req, Server.errors.FORBIDDEN);
+        rejectRequest(res, err);
+        return;
+      }
       this.verify(req, false, callback);
-    }
+    });
   }
 
   /**
@@ -255,7 +775,15 @@ class Server extends EventEmitter {
       id = await this.generateId(req);
     } catch (e) {
       debug("error while generating an id");
-      sendErrorMessage(req, req.res, Server.errors.BAD_REQUEST);
+      this.emitConnectionError(req, Server.errors.BAD_REQUEST);
+      abortHandshake(req, Server.errors.BAD_REQUEST);
+      return;
+    }
+
+    // 验证之后的异步步骤中可能有其他客户端完成了握手，再检查一次连接数
+    if (this.isOverLimit(req)) {
+      this.emitConnectionError(req, Server.errors.TOO_MANY_CONNECTIONS);
+      abortHandshake(req, Server.errors.TOO_MANY_CONNECTIONS);
       return;
     }
 
@@ -263,51 +791,232 @@ class Server extends EventEmitter {
 
     try {
       // 新建一个通道
-      var transport = new transports[transportName](req);
-      if ("polling" === transportName) {
-        transport.maxHttpBufferSize = this.opts.maxHttpBufferSize;
-        transport.httpCompression = this.opts.httpCompression;
-      } else if ("websocket" === transportName) {
-        transport.perMessageDeflate = this.opts.perMessageDeflate;
-      }
-
-      if (req._query && req._query.b64) {
-        transport.supportsBinary = false;
-      } else {
-        transport.supportsBinary = true;
-      }
+      var transport = this.createTransport(transportName, req);
     } catch (e) {
       debug('error handshaking to transport "%s"', transportName);
-      sendErrorMessage(req, req.res, Server.errors.BAD_REQUEST);
+      this.emitConnectionError(req, Server.errors.BAD_REQUEST);
+      abortHandshake(req, Server.errors.BAD_REQUEST);
       return;
     }
     // 新建一个socket，把上下文传入socket中。socket会发送建立从long polling到websocket的回复包
-    const socket = new Socket(id, this, transport, req);
+    const socket = new Socket(
+      id,
+      this,
+      transport,
+      req,
+      this.buildHandshake(transportName, req)
+    );
     const self = this;
 
     if (this.opts.cookie) {
-      transport.on("headers", headers => {
-        headers["Set-Cookie"] = cookieMod.serialize(
-          this.opts.cookie.name,
-          id,
-          this.opts.cookie
-        );
-      });
+      transport[this.opts.cookie.rolling ? "on" : "once"](
+        "headers",
+        headers => {
+          this.setCookies(socket, headers);
+        }
+      );
+    }
+
+    if (this.binding) {
+      socket.binding = this.binding.bind(req, socket.remoteAddress);
+      // the cookie of the websocket handshakes is added by the ws server
+      if (socket.binding.nonce && "websocket" !== transportName) {
+        const cookie = this.binding.cookie(socket.binding.nonce);
+        transport.once("headers", headers => {
+          headers["Set-Cookie"] = [].concat(
+            headers["Set-Cookie"] || [],
+            cookie
+          );
+        });
+      }
     }
 
-    transport.onRequest(req);
     // 该server下建立的连接数
     this.clients[id] = socket;
     this.clientsCount++;
+    const ip = this.clientIp(req);
+    this.ipConnections.set(ip, (this.ipConnections.get(ip) || 0) + 1);
     // 连接断开，则清除记录
     socket.once("close", function() {
       delete self.clients[id];
       self.clientsCount--;
+      const count = self.ipConnections.get(ip) - 1;
+      if (count) {
+        self.ipConnections.set(ip, count);
+      } else {
+        self.ipConnections.delete(ip);
+      }
+      self.store
+        .delete(id)
+        .catch(err => debug('error while deleting session "%s": %s', id, err));
     });
-    // 
+
+    // the session must be known to the other processes before the client
+    // gets its id, its next request might reach any of them
+    try {
+      await this.store.set(id, {
+        nodeId: this.opts.nodeId,
+        transport: transportName
+      });
+    } catch (err) {
+      debug('error while storing session "%s": %s', id, err);
+    }
+    if ("closed" === socket.readyState) return;
+
+    transport.onRequest(req);
     this.emit("connection", socket);
   }
 
+  /**
+   * Builds the handshake details exposed as `socket.handshake`. They are
+   * read from the handshake request, so that they do not change upon
+   * upgrade.
+   *
+   * @param {String} transport name
+   * @param {http.IncomingMessage} request
+   * @return {Object}
+   * @api private
+   */
+  buildHandshake(transportName, req) {
+    const client = this.resolveClient(req);
+    return Object.freeze({
+      headers: Object.freeze(Object.assign({}, req.headers)),
+      query: Object.freeze(Object.assign({}, req._query)),
+      cookies: Object.freeze(cookieMod.parse(req.headers.cookie || "")),
+      address: client.address,
+      port: client.port,
+      issued: Date.now(),
+      secure: "https" === client.protocol,
+      url: req.url,
+      transport: transportName
+    });
+  }
+
+  /**
+   * Adds the engine cookie, signed if the `cookie.secret` option is set, and
+   * the cookies returned by the `cookie.extra` hook to a response.
+   *
+   * @param {Socket} socket
+   * @param {Object} headers
+   * @api private
+   */
+  setCookies(socket, headers) {
+    const opts = this.opts.cookie;
+    // the expiry is refreshed each time the cookie is sent
+    const attributes = opts.maxAge
+      ? Object.assign({}, opts, {
+          expires: new Date(Date.now() + opts.maxAge * 1000)
+        })
+      : opts;
+
+    let value = socket.id;
+    if (this.cookieSecrets.length) {
+      value += "." + signature.sign(value, this.cookieSecrets[0]);
+    }
+    const cookies = [cookieMod.serialize(opts.name, value, attributes)];
+
+    const extra = opts.extra ? opts.extra(socket) || {} : {};
+    Object.keys(extra).forEach(name => {
+      cookies.push(cookieMod.serialize(name, extra[name], attributes));
+    });
+
+    headers["Set-Cookie"] = 1 === cookies.length ? cookies[0] : cookies;
+  }
+
+  /**
+   * Checks that the request of a session carries the engine cookie, signed
+   * for its sid, when the cookie is signed.
+   *
+   * @param {http.IncomingMessage} request
+   * @return {Boolean}
+   * @api private
+   */
+  checkCookie(req) {
+    if (!this.cookieSecrets.length) return true;
+    const cookies = cookieMod.parse(req.headers.cookie || "");
+    const value = cookies[this.opts.cookie.name];
+    if (undefined === value) return false;
+    const sid = req._query.sid;
+    return this.cookieSecrets.some(secret =>
+      signature.safeEqual(sid + "." + signature.sign(sid, secret), value)
+    );
+  }
+
+  /**
+   * Creates a transport for the given request. The codec is the one of the
+   * `codec` query parameter, unless given.
+   *
+   * @param {String} transport name
+   * @param {http.IncomingMessage} request
+   * @param {Object} optional, codec of the session
+   * @return {Transport}
+   * @api private
+   */
+  createTransport(transportName, req, codec) {
+    const transport = new transports[transportName](req, this.opts);
+    if ("polling" === transportName || "sse" === transportName) {
+      transport.maxHttpBufferSize = this.opts.maxHttpBufferSize;
+      transport.httpCompression = this.opts.httpCompression;
+    } else if ("xhr-streaming" === transportName) {
+      transport.maxHttpBufferSize = this.opts.maxHttpBufferSize;
+      transport.maxBytes = this.opts.streamingMaxBytes;
+      transport.maxAge = this.opts.streamingMaxAge;
+    } else if ("websocket" === transportName) {
+      transport.perMessageDeflate = this.opts.perMessageDeflate;
+    }
+    if ("websocket" !== transportName) {
+      transport.bodyTimeout = this.opts.bodyTimeout;
+      transport.minBodyRate = this.opts.minBodyRate;
+      transport.maxPollDuration = this.opts.maxPollDuration;
+    }
+
+    if (req._query && req._query.b64) {
+      transport.supportsBinary = false;
+    } else {
+      transport.supportsBinary = true;
+    }
+
+    // 客户端通过codec参数选择编解码器
+    const name = req._query && req._query.codec;
+    if (!codec && name) {
+      codec = this.opts.codecs.find(codec => codec.name === name);
+      if (!codec) throw new Error('unknown codec "' + name + '"');
+    }
+    if (codec) {
+      if (codec.binary && !transport.supportsBinaryCodec) {
+        throw new Error(transport.name + " cannot carry binary codecs");
+      }
+      transport.codec = codec;
+    }
+    return transport;
+  }
+
+  /**
+   * Resumes a disconnected session with a new transport. The client sends the
+   * number of messages it has received in the `offset` query parameter, so the
+   * missed ones can be replayed.
+   *
+   * @param {Socket} socket
+   * @param {http.IncomingMessage} request
+   * @api private
+   */
+  resume(socket, req) {
+    let transport;
+    try {
+      // 沿用握手时协商的编解码器，不再读取恢复请求的codec参数
+      transport = this.createTransport(req._query.transport, req, socket.codec);
+    } catch (e) {
+      debug('error resuming to transport "%s"', req._query.transport);
+      this.emitConnectionError(req, Server.errors.BAD_REQUEST);
+      abortHandshake(req, Server.errors.BAD_REQUEST);
+      return;
+    }
+
+    const offset = parseInt(req._query.offset, 10);
+    socket.resume(transport, isNaN(offset) ? -1 : offset);
+    transport.onRequest(req);
+  }
+
   /**
    * Handles an Engine.IO HTTP Upgrade.
    *
@@ -319,18 +1028,29 @@ class Server extends EventEmitter {
     this.prepare(req);
 
     const self = this;
-    this.verify(req, true, function(err, success) {
-      if (!success) {
-        abortConnection(socket, err);
+    const res = new WebSocketResponse(req, socket);
+
+    this.applyMiddlewares(req, res, err => {
+      if (err) {
+        debug("upgrade rejected by middleware");
+        this.emitConnectionError(req, Server.errors.FORBIDDEN);
+        rejectRequest(res, err);
         return;
       }
+      this.verify(req, true, function(err, success) {
+        if (!success) {
+          self.emitConnectionError(req, err);
+          abortConnection(socket, err);
+          return;
+        }
 
-      const head = Buffer.from(upgradeHead); // eslint-disable-line node/no-deprecated-api
-      upgradeHead = null;
+        const head = Buffer.from(upgradeHead); // eslint-disable-line node/no-deprecated-api
+        upgradeHead = null;
 
-      // delegate to ws 使用ws模块完成websocket的升级，ws回复同意升级协议后执行onWebSocket
-      self.ws.handleUpgrade(req, socket, head, function(conn) {
-        self.onWebSocket(req, conn);
+        // delegate to ws 使用ws模块完成websocket的升级，ws回复同意升级协议后执行onWebSocket
+        self.ws.handleUpgrade(req, socket, head, function(conn) {
+          self.onWebSocket(req, conn);
+        });
       });
     });
   }
@@ -365,6 +1085,10 @@ class Server extends EventEmitter {
       if (!client) {
         debug("upgrade attempt for closed client");
         socket.close();
+      } else if ("disconnected" === client.readyState) {
+        debug("resuming disconnected client");
+        socket.removeListener("error", onUpgradeError);
+        this.resume(client, req);
       } else if (client.upgrading) {
         debug("transport has already been trying to upgrade");
         socket.close();
@@ -384,6 +1108,7 @@ class Server extends EventEmitter {
           transport.supportsBinary = true;
         }
         transport.perMessageDeflate = this.perMessageDeflate;
+        transport.codec = client.codec;
         // 调用client的能力进行协议切换(socket.js)。这时候，等待客户端基于websocket发送ping包，然后服务器发送pong包。才真正完成通道的切换（升级）
         client.maybeUpgrade(transport);
       }
@@ -421,6 +1146,8 @@ class Server extends EventEmitter {
       return path === req.url.substr(0, path.length);
     }
 
+    const metricsPath = self.metrics && self.metrics.opts.path;
+
     // cache and clean up listeners
     // 解除之前的request事件，由本server接收
     const listeners = server.listeners("request").slice(0);
@@ -432,6 +1159,10 @@ class Server extends EventEmitter {
     // add request handler
     // 有http请求到达时的回调，支持long polling
     server.on("request", function(req, res) {
+      if (metricsPath && metricsPath === req.url.split("?")[0]) {
+        self.metrics.handleRequest(req, res);
+        return;
+      }
       // 判断是不是自己的请求（看路径）
       if (check(req)) {
         debug('intercepting request for path "%s"', path);
@@ -477,7 +1208,14 @@ Server.errors = {
   UNKNOWN_SID: 1,
   BAD_HANDSHAKE_METHOD: 2,
   BAD_REQUEST: 3,
-  FORBIDDEN: 4
+  FORBIDDEN: 4,
+  SERVER_DRAINING: 5,
+  UNSUPPORTED_PROTOCOL_VERSION: 6,
+  TOO_MANY_CONNECTIONS: 7,
+  SESSION_BINDING_MISMATCH: 8,
+  INVALID_COOKIE: 9,
+  UNAUTHORIZED: 10,
+  ORIGIN_NOT_ALLOWED: 11
 };
 
 Server.errorMessages = {
@@ -485,7 +1223,14 @@ Server.errorMessages = {
   1: "Session ID unknown",
   2: "Bad handshake method",
   3: "Bad request",
-  4: "Forbidden"
+  4: "Forbidden",
+  5: "Server draining",
+  6: "Unsupported protocol version",
+  7: "Too many connections",
+  8: "Session binding mismatch",
+  9: "Invalid cookie",
+  10: "Unauthorized",
+  11: "Origin not allowed"
 };
 
 /**
@@ -517,7 +1262,7 @@ function sendErrorMessage(req, res, code) {
     headers["Access-Control-Allow-Origin"] = "*";
   }
   if (res !== undefined) {
-    res.writeHead(400, headers);
+    res.writeHead(errorStatus(code), headers);
     res.end(
       JSON.stringify({
         code: code,
@@ -527,6 +1272,189 @@ function sendErrorMessage(req, res, code) {
   }
 }
 
+/**
+ * Rejects a handshake or a resume: websocket requests have no response to
+ * send the error to, the websocket is closed instead.
+ *
+ * @param {http.IncomingMessage} request
+ * @param {code} error code
+ * @api private
+ */
+
+function abortHandshake(req, code) {
+  if (req.res) {
+    sendErrorMessage(req, req.res, code);
+  } else {
+    req.websocket.close();
+  }
+}
+
+/**
+ * Returns the HTTP status of an error code.
+ *
+ * @param {code} error code
+ * @api private
+ */
+
+function errorStatus(code) {
+  switch (code) {
+    // 排空中的服务器暂时不可用，客户端应该连接其他服务器
+    case Server.errors.SERVER_DRAINING:
+      return 503;
+    case Server.errors.TOO_MANY_CONNECTIONS:
+      return 429;
+    case Server.errors.SESSION_BINDING_MISMATCH:
+    case Server.errors.INVALID_COOKIE:
+    case Server.errors.ORIGIN_NOT_ALLOWED:
+      return 403;
+    case Server.errors.UNAUTHORIZED:
+      return 401;
+    default:
+      return 400;
+  }
+}
+
+/**
+ * Rejects a request denied by a middleware.
+ *
+ * @param {http.ServerResponse|WebSocketResponse} response
+ * @param {Error} error
+ * @api private
+ */
+
+function rejectRequest(res, err) {
+  const body = JSON.stringify(
+    err.data !== undefined
+      ? err.data
+      : {
+          code: Server.errors.FORBIDDEN,
+          message: err.message || Server.errorMessages[Server.errors.FORBIDDEN]
+        }
+  );
+  res.writeHead(err.status || err.statusCode || 403, {
+    "Content-Type": "application/json",
+    "Content-Length": Buffer.byteLength(body)
+  });
+  res.end(body);
+}
+
+// 广播的目标，可以链式调用
+class BroadcastOperator {
+  /**
+   * Broadcast target.
+   *
+   * @param {Server} server
+   * @api private
+   */
+  constructor(server) {
+    this.server = server;
+    this.groups = [];
+    this.excluded = [];
+  }
+
+  /**
+   * Adds a group to the targets.
+   *
+   * @param {String} name
+   * @return {BroadcastOperator} for chaining
+   * @api public
+   */
+  to(name) {
+    this.groups.push(name);
+    return this;
+  }
+
+  /**
+   * Excludes sockets from the targets.
+   *
+   * @param {String|Socket|Array} sid(s) or socket(s)
+   * @return {BroadcastOperator} for chaining
+   * @api public
+   */
+  except(sockets) {
+    this.excluded = this.excluded.concat(sockets);
+    return this;
+  }
+
+  /**
+   * Sends a message to the targets.
+   *
+   * @param {String|Buffer} data
+   * @param {Object} options - `compress`
+   * @return {BroadcastOperator} for chaining
+   * @api public
+   */
+  send(data, options) {
+    this.server.broadcast(
+      data,
+      Object.assign({}, options, { to: this.groups, except: this.excluded })
+    );
+    return this;
+  }
+}
+
+// 升级请求没有对应的http响应对象，中间件通过它直接写入底层的socket
+class WebSocketResponse {
+  /**
+   * Minimal response object given to the middlewares for upgrade requests.
+   *
+   * @param {http.IncomingMessage} request
+   * @param {net.Socket} socket
+   * @api private
+   */
+  constructor(req, socket) {
+    this.req = req;
+    this.socket = socket;
+    this.statusCode = 200;
+    this.headers = {};
+    this.headersSent = false;
+  }
+
+  setHeader(name, value) {
+    this.headers[name.toLowerCase()] = value;
+  }
+
+  getHeader(name) {
+    return this.headers[name.toLowerCase()];
+  }
+
+  removeHeader(name) {
+    delete this.headers[name.toLowerCase()];
+  }
+
+  writeHead(statusCode, headers) {
+    this.statusCode = statusCode;
+    for (let name in headers) {
+      if (headers.hasOwnProperty(name)) this.setHeader(name, headers[name]);
+    }
+  }
+
+  end(data) {
+    if (this.headersSent) return;
+    this.headersSent = true;
+    const socket = this.socket;
+    socket.on("error", () => {
+      debug("ignoring error from closed connection");
+    });
+    if (socket.writable) {
+      let head =
+        "HTTP/1.1 " +
+        this.statusCode +
+        " " +
+        http.STATUS_CODES[this.statusCode] +
+        "\r\nConnection: close\r\n";
+      for (let name in this.headers) {
+        if (this.headers.hasOwnProperty(name)) {
+          head += name + ": " + this.headers[name] + "\r\n";
+        }
+      }
+      socket.write(head + "\r\n");
+      if (data) socket.write(data);
+    }
+    socket.destroy();
+  }
+}
+
 /**
  * Closes the connection
  *
@@ -544,8 +1472,13 @@ function abortConnection(socket, code) {
       ? Server.errorMessages[code]
       : String(code || "");
     const length = Buffer.byteLength(message);
+    const status = errorStatus(code);
     socket.write(
-      "HTTP/1.1 400 Bad Request\r\n" +
+      "HTTP/1.1 " +
+        status +
+        " " +
+        http.STATUS_CODES[status] +
+        "\r\n" +
         "Connection: close\r\n" +
         "Content-type: text/html\r\n" +
         "Content-Length: " +
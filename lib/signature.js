@@ -0,0 +1,39 @@
+const crypto = require("crypto");
+
+/**
+ * Signs a value with HMAC-SHA256.
+ *
+ * @param {String} value
+ * @param {String|Buffer} secret
+ * @return {String} the signature, base64url encoded so that it can be used
+ *                  in a cookie as is
+ * @api private
+ */
+
+function sign(value, secret) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(value)
+    .digest("base64")
+    .replace(/=+$/, "")
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_");
+}
+
+/**
+ * Compares two strings in constant time.
+ *
+ * @param {String} expected
+ * @param {String} actual
+ * @return {Boolean}
+ * @api private
+ */
+
+function safeEqual(expected, actual) {
+  const a = Buffer.from(expected);
+  const b = Buffer.from(actual);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+exports.sign = sign;
+exports.safeEqual = safeEqual;
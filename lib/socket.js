@@ -1,13 +1,20 @@
 const EventEmitter = require("events");
 const debug = require("debug")("engine:socket");
+const streams = require("./stream");
+const RateLimiter = require("./rate-limit").RateLimiter;
 
 class Socket extends EventEmitter {
   /**
    * Client class (abstract).
    *
+   * @param {String} id
+   * @param {Server} server
+   * @param {Transport} transport
+   * @param {http.IncomingMessage} request
+   * @param {Object} handshake details
    * @api private
    */
-  constructor(id, server, transport, req) {
+  constructor(id, server, transport, req, handshake) {
     super();
     this.id = id;
     // socket关联的服务器
@@ -20,19 +27,32 @@ class Socket extends EventEmitter {
     this.readyState = "opening";
     // 待写数据
     this.writeBuffer = [];
+    // 待写数据是否还没有达到上限
+    this.writable = true;
     this.packetsFn = [];
     this.sentCallbackFn = [];
     // 关闭数据通道时执行的清除函数集
     this.cleanupFn = [];
     // 对应的request，支持长轮询
     this.request = req;
+    // 握手请求的信息，升级之后保持不变
+    this.handshake = handshake;
+    // 应用的数据，中间件可以在握手时通过req.data设置
+    this.data = req.data || {};
+    // 握手客户端的绑定信息，由服务器设置
+    this.binding = null;
+    // 协议版本：3的心跳由客户端发起，4的心跳由服务器发起
+    this.protocolVersion = "3" === req._query.EIO ? 3 : 4;
 
-    // Cache IP since it might not be in the req later
-    if (req.websocket && req.websocket._socket) {
-      this.remoteAddress = req.websocket._socket.remoteAddress;
-    } else {
-      this.remoteAddress = req.connection.remoteAddress;
-    }
+    // Cache the client since it might not be in the req later. The values of
+    // the handshake are kept for the later requests and the upgrade
+    const client = server.resolveClient(req);
+    this.remoteAddress = client.address;
+    this.remotePort = client.port;
+    // http或https
+    this.protocol = client.protocol;
+    // 从客户端到服务器经过的地址
+    this.forwardedChain = client.chain;
 
     this.checkIntervalTimer = null;
     // 检测是否完成协议切换的定时器id
@@ -41,9 +61,36 @@ class Socket extends EventEmitter {
     this.pingTimeoutTimer = null;
     // 发送ping包后，多久没有收到回复则断开连接对应的定时器id
     this.pingIntervalTimer = null;
+    // 最近一次发送ping包的时间
+    this.pingSentAt = null;
+    // 心跳的往返时间（毫秒）：最近一次，最小值，平滑后的平均值
+    this.rtt = { last: null, min: null, avg: null };
+    // 断开后等待客户端恢复会话的定时器id
+    this.resumeTimeoutTimer = null;
+    // 已发送的message包的序号，以及可供恢复时重放的包
+    this.sentCount = 0;
+    this.replayBuffer = [];
+    // 等待对端回复的请求
+    this.ackId = 0;
+    this.acks = {};
+    // 加入的分组
+    this.groups = new Set();
+    // 正在接收和发送的流
+    this.streamId = 0;
+    this.readStreams = {};
+    this.writeStreams = {};
+    // 接收消息的限流器
+    const rateLimit = server.opts.rateLimit;
+    this.rateLimiter = rateLimit ? new RateLimiter(rateLimit) : null;
+    // 握手时校验的token的内容，以及token过期的定时器
+    this.claims = req._claims || null;
+    this.authTimer = null;
+    // 握手时协商的编解码器，恢复会话时沿用
+    this.codec = transport.codec;
     // 设置通信通道
     this.setTransport(transport);
     this.onOpen();
+    if (server.auth) this.scheduleExpiry();
   }
 
   /**
@@ -57,18 +104,18 @@ class Socket extends EventEmitter {
 
     // sends an `open` packet
     this.transport.sid = this.id;
-    this.sendPacket(
-      "open",
-      JSON.stringify({
-        sid: this.id,
-        // 可以升级到这个（些）协议
-        upgrades: this.getAvailableUpgrades(),
-        // 心跳间隔
-        pingInterval: this.server.opts.pingInterval,
-        // 多久后发送心跳
-        pingTimeout: this.server.opts.pingTimeout
-      })
-    );
+    const handshake = {
+      sid: this.id,
+      // 可以升级到这个（些）协议
+      upgrades: this.getAvailableUpgrades(),
+      // 心跳间隔
+      pingInterval: this.server.opts.pingInterval,
+      // 多久后发送心跳
+      pingTimeout: this.server.opts.pingTimeout
+    };
+    // 告诉客户端协商好的编解码器
+    if (this.transport.codec.name) handshake.codec = this.transport.codec.name;
+    this.sendPacket("open", JSON.stringify(handshake));
 
     if (this.server.opts.initialPacket) {
       this.sendPacket("message", this.server.opts.initialPacket);
@@ -99,19 +146,32 @@ class Socket extends EventEmitter {
       );
 
       switch (packet.type) {
+        // v3的客户端发送ping，服务器回复pong
+        case "ping":
+          if (3 !== this.protocolVersion) break;
+          debug("got ping");
+          this.sendPacket("pong");
+          this.emit("heartbeat");
+          break;
         // 收到pong之后，等待一段时间后，继续发送ping包
         case "pong":
+          if (3 === this.protocolVersion) break;
           debug("got pong");
+          this.onPong();
           this.schedulePing();
           this.emit("heartbeat");
           break;
         // 出错，关闭socket
         case "error":
-          
           this.onClose("parse error");
           break;
 
         case "message":
+          if (this.rateLimiter && !this.checkRateLimit(packet)) break;
+          // 请求和回复不作为普通消息上报
+          if (this.onAck(packet.data)) break;
+          if (this.onStreamFrame(packet.data)) break;
+          if (this.onAuth(packet.data)) break;
           this.emit("data", packet.data);
           this.emit("message", packet.data);
           break;
@@ -121,6 +181,232 @@ class Socket extends EventEmitter {
     }
   }
 
+  /**
+   * Updates the round-trip time upon pong and emits `latency`.
+   *
+   * The average is smoothed like the TCP round-trip time estimate
+   * (RFC 6298).
+   *
+   * @api private
+   */
+  onPong() {
+    if (null === this.pingSentAt) return;
+    const rtt = Date.now() - this.pingSentAt;
+    this.pingSentAt = null;
+
+    this.rtt.last = rtt;
+    this.rtt.min = null === this.rtt.min ? rtt : Math.min(this.rtt.min, rtt);
+    this.rtt.avg =
+      null === this.rtt.avg
+        ? rtt
+        : (1 - RTT_ALPHA) * this.rtt.avg + RTT_ALPHA * rtt;
+    debug("round-trip time %dms", rtt);
+    this.emit("latency", rtt);
+  }
+
+  /**
+   * Applies the `rateLimit` policy to an incoming message:
+   *
+   * - `drop`: the message is ignored
+   * - `delay`: the message is accepted, but the transport stops reading
+   *   until the limits are respected again
+   * - `close`: the socket is closed with reason `rate limit`
+   *
+   * @param {Object} packet
+   * @return {Boolean} whether the message should be processed
+   * @api private
+   */
+  checkRateLimit(packet) {
+    const size = byteLength(packet.data);
+    const limit = this.rateLimiter.check(size);
+    if (!limit) return true;
+
+    const policy = this.server.opts.rateLimit.policy || "drop";
+    debug("%s rate limit exceeded (%s)", limit, policy);
+    this.emit("ratelimit", { limit: limit, policy: policy, size: size });
+
+    if ("delay" === policy) {
+      this.rateLimiter.force(size);
+      this.transport.delayReading(this.rateLimiter.wait());
+      return true;
+    }
+    if ("close" === policy) this.onClose("rate limit");
+    return false;
+  }
+
+  /**
+   * Handles a request or a reply from the peer. Only the replies to the
+   * pending requests, and the requests when the `request` event is listened
+   * to, are consumed: the other messages are regular messages.
+   *
+   * @param {String|Buffer} message data
+   * @return {Boolean} whether the message was a request or a reply
+   * @api private
+   */
+  onAck(data) {
+    const ack = decodeAck(data);
+    if (!ack) return false;
+
+    if ("r" === ack.type) {
+      const pending = this.acks[ack.id];
+      if (!pending) {
+        debug("unknown ack id %d", ack.id);
+        return false;
+      }
+      delete this.acks[ack.id];
+      clearTimeout(pending.timer);
+      pending.resolve(ack.data);
+      return true;
+    }
+
+    if (!this.listenerCount("request")) return false;
+    let replied = false;
+    this.emit("request", ack.data, data => {
+      if (replied) return;
+      replied = true;
+      this.sendPacket("message", encodeAck("r", ack.id, data));
+    });
+    return true;
+  }
+
+  /**
+   * Handles a refreshed token pushed by the client, `\u001eat:<token>`. The
+   * reply is `\u001eao:` if the token is accepted, `\u001eae:<message>`
+   * otherwise.
+   *
+   * @param {String|Buffer} message data
+   * @return {Boolean} whether the message was an authentication message
+   * @api private
+   */
+  onAuth(data) {
+    if (!this.server.auth || "string" !== typeof data) return false;
+    if (AUTH_TOKEN !== data.slice(0, AUTH_TOKEN.length)) return false;
+
+    const token = data.slice(AUTH_TOKEN.length);
+    this.server.auth
+      .verify(token, this.request)
+      .then(claims => {
+        // 刷新token不能切换用户
+        if (this.claims && this.claims.sub !== claims.sub) {
+          throw new Error("subject mismatch");
+        }
+        return claims;
+      })
+      .then(
+        claims => {
+          if ("open" !== this.readyState) return;
+          debug("token refreshed");
+          this.claims = claims;
+          this.scheduleExpiry();
+          this.sendPacket("message", AUTH + "o:");
+          this.emit("auth", claims);
+        },
+        err => {
+          if ("open" !== this.readyState) return;
+          debug("refreshed token rejected: %s", err.message);
+          this.sendPacket("message", AUTH + "e:" + err.message);
+        }
+      );
+    return true;
+  }
+
+  /**
+   * Schedules the expiry of the token, at its `exp` claim.
+   *
+   * @api private
+   */
+  scheduleExpiry() {
+    clearTimeout(this.authTimer);
+    const exp = this.claims && this.claims.exp;
+    if ("number" !== typeof exp) return;
+
+    const delay = exp * 1000 - Date.now();
+    // setTimeout() does not support longer delays
+    if (delay > MAX_TIMEOUT) {
+      this.authTimer = setTimeout(() => this.scheduleExpiry(), MAX_TIMEOUT);
+      return;
+    }
+    this.authTimer = setTimeout(() => this.onExpire(), Math.max(delay, 0));
+  }
+
+  /**
+   * Called when the token expires: the socket is closed, or with the
+   * `reauth` policy, the client is asked for a new token with
+   * `\u001ear:` and the `reauth` event is emitted.
+   *
+   * @api private
+   */
+  onExpire() {
+    const opts = this.server.auth.opts;
+    if ("reauth" !== opts.onExpire) {
+      debug("token expired, closing");
+      this.close();
+      return;
+    }
+    debug("token expired, waiting for a new one");
+    this.emit("reauth");
+    this.sendPacket("message", AUTH + "r:");
+    this.authTimer = setTimeout(() => {
+      debug("no new token, closing");
+      this.close();
+    }, opts.reauthTimeout);
+  }
+
+  /**
+   * Handles a frame of a stream from the peer. Only the frames of the known
+   * streams, and the opening frames when the `stream` event is listened to,
+   * are consumed: the other messages are regular messages.
+   *
+   * @param {String|Buffer} message data
+   * @return {Boolean} whether the message was a stream frame
+   * @api private
+   */
+  onStreamFrame(data) {
+    const frame = streams.decodeFrame(data);
+    if (!frame) return false;
+
+    const id = frame.id;
+    let stream = this.readStreams[id];
+
+    if ("n" === frame.type) {
+      if (stream || !this.listenerCount("stream")) return false;
+      // 同时接收的流的数量有上限
+      const max = this.server.opts.maxReadStreams;
+      if (max && Object.keys(this.readStreams).length >= max) {
+        debug("too many streams, rejecting stream %d", id);
+        this.sendPacket("message", streams.encodeAbort(id, "too many streams"));
+        return true;
+      }
+      let meta;
+      try {
+        meta = JSON.parse(frame.data);
+      } catch (e) {
+        meta = {};
+      }
+      stream = new streams.ReadStream(id);
+      this.readStreams[id] = stream;
+      stream.once("close", () => {
+        if (stream === this.readStreams[id]) delete this.readStreams[id];
+      });
+      this.emit("stream", stream, meta);
+      return true;
+    }
+
+    if (!stream) return false;
+
+    if ("d" === frame.type) {
+      stream.onChunk(frame.seq, frame.data);
+    } else if ("e" === frame.type) {
+      const summary = frame.data.split(":");
+      stream.onEnd(Number(summary[0]), Number(summary[1]), summary[2]);
+    } else {
+      stream.abort(new Error("stream aborted (" + frame.data + ")"));
+    }
+    // 流结束后立即注销，之后的帧不再交给它
+    if (stream.done) delete this.readStreams[id];
+    return true;
+  }
+
   /**
    * Called upon transport error.
    *
@@ -130,17 +416,105 @@ class Socket extends EventEmitter {
   // 通道出错时关闭socket
   onError(err) {
     debug("transport error");
-    this.onClose("transport error", err);
+    this.onTransportLoss("transport error", err);
+  }
+
+  /**
+   * Called when the underlying transport is lost. If session resumption is
+   * enabled, the socket is kept around for `resumeTimeout` ms waiting for the
+   * client to reconnect with the same sid, otherwise it is closed.
+   *
+   * @param {String} reason
+   * @param {Object} description
+   * @api private
+   */
+  onTransportLoss(reason, description) {
+    if (
+      "open" !== this.readyState ||
+      !this.server.opts.resumeTimeout ||
+      this.transport.clientClosed
+    ) {
+      this.onClose(reason, description);
+      return;
+    }
+
+    debug("transport lost (%s) - waiting for the client to resume", reason);
+    this.readyState = "disconnected";
+
+    clearTimeout(this.pingIntervalTimer);
+    clearTimeout(this.pingTimeoutTimer);
+
+    // in-flight packets are replayed on resume, their callbacks are dropped
+    this.sentCallbackFn = [];
+    this.transport.discard();
+    this.clearTransport();
+
+    this.resumeTimeoutTimer = setTimeout(() => {
+      debug("client did not resume the session - closing");
+      this.onClose(reason, description);
+    }, this.server.opts.resumeTimeout);
+
+    this.emit("disconnect", reason, description);
+  }
+
+  /**
+   * Resumes a disconnected session over the given transport, replaying the
+   * packets the client has not received.
+   *
+   * @param {Transport} transport
+   * @param {Number} offset - number of messages received by the client
+   * @api private
+   */
+  resume(transport, offset) {
+    debug('resuming session over "%s" (offset %s)', transport.name, offset);
+    clearTimeout(this.resumeTimeoutTimer);
+    this.resumeTimeoutTimer = null;
+
+    // 把客户端没有收到的包重新放回待写队列的头部
+    if (offset >= 0 && offset <= this.sentCount) {
+      const missed = [];
+      this.replayBuffer = this.replayBuffer.filter(entry => {
+        if (entry.seq > offset) {
+          missed.push(entry.packet);
+          return false;
+        }
+        return true;
+      });
+      if (this.sentCount - offset > missed.length) {
+        debug(
+          "%d packets could not be replayed",
+          this.sentCount - offset - missed.length
+        );
+      }
+      this.sentCount = offset;
+      this.writeBuffer = missed.concat(this.writeBuffer);
+    }
+
+    this.readyState = "open";
+    this.upgraded = false;
+    transport.sid = this.id;
+    this.setTransport(transport);
+    this.emit("resume", transport);
+    this.schedulePing();
+    this.flush();
   }
 
   /**
    * Pings client every `this.pingInterval` and expects response
-   * within `this.pingTimeout` or closes connection.
+   * within `this.pingTimeout` or closes connection. With protocol v3, the
+   * client pings and the socket only waits for it.
    *
    * @api private
    */
   // pingInterval时间内没有回包（即没有清除定时器）则发送心跳包，并开启另一个定时器，如果心跳包也没有回复，pingTimeout时间内关闭连接
   schedulePing() {
+    // v3的客户端自己发送ping，只需要等待
+    if (3 === this.protocolVersion) {
+      this.resetPingTimeout(
+        this.server.opts.pingInterval + this.server.opts.pingTimeout
+      );
+      return;
+    }
     clearTimeout(this.pingIntervalTimer);
     this.pingIntervalTimer = setTimeout(() => {
       debug(
@@ -176,7 +550,7 @@ class Socket extends EventEmitter {
     const onError = this.onError.bind(this);
     const onPacket = this.onPacket.bind(this);
     const flush = this.flush.bind(this);
-    const onClose = this.onClose.bind(this, "transport close");
+    const onClose = this.onTransportLoss.bind(this, "transport close");
     // 通道有数据则通知socket等，socket再往上报
     this.transport = transport;
     this.transport.once("error", onError);
@@ -216,6 +590,7 @@ class Socket extends EventEmitter {
     self.upgradeTimeoutTimer = setTimeout(function() {
       debug("client did not complete upgrade - closing transport");
       cleanup();
+      self.emit("upgradeError", "upgrade timeout");
       if ("open" === transport.readyState) {
         transport.close();
       }
@@ -253,6 +628,7 @@ class Socket extends EventEmitter {
       } else {
         // 无效的包，则关闭通道，即切换协议失败
         cleanup();
+        self.emit("upgradeError", "invalid packet");
         transport.close();
       }
     }
@@ -262,6 +638,9 @@ class Socket extends EventEmitter {
       if ("polling" === self.transport.name && self.transport.writable) {
         debug("writing a noop packet to polling for fast upgrade");
         self.transport.send([{ type: "noop" }]);
+      } else if ("xhr-streaming" === self.transport.name) {
+        // 结束当前的响应，客户端才能暂停
+        self.transport.recycle();
       }
     }
     // 切换协议失败，恢复
@@ -278,11 +657,13 @@ class Socket extends EventEmitter {
       transport.removeListener("close", onTransportClose);
       transport.removeListener("error", onError);
       self.removeListener("close", onClose);
+      self.removeListener("disconnect", onClose);
     }
     // 切换协议失败，关闭
     function onError(err) {
       debug("client did not complete upgrade - %s", err);
       cleanup();
+      self.emit("upgradeError", err);
       transport.close();
       transport = null;
     }
@@ -300,6 +681,7 @@ class Socket extends EventEmitter {
     transport.once("error", onError);
 
     self.once("close", onClose);
+    self.once("disconnect", onClose);
   }
 
   /**
@@ -332,11 +714,12 @@ class Socket extends EventEmitter {
   /**
    * Called upon transport considered closed.
    * Possible reasons: `ping timeout`, `client error`, `parse error`,
-   * `transport error`, `server close`, `transport close`
+   * `transport error`, `server close`, `transport close`, `buffer overflow`
    */
   // 底层的数据通道关闭后或者建立数据通道失败时执行的回调
   onClose(reason, description) {
     if ("closed" !== this.readyState) {
+      const previousState = this.readyState;
       this.readyState = "closed";
 
       // clear timers
@@ -346,6 +729,8 @@ class Socket extends EventEmitter {
       clearInterval(this.checkIntervalTimer);
       this.checkIntervalTimer = null;
       clearTimeout(this.upgradeTimeoutTimer);
+      clearTimeout(this.resumeTimeoutTimer);
+      clearTimeout(this.authTimer);
       const self = this;
       // clean writeBuffer in next tick, so developers can still
       // grab the writeBuffer on 'close' event
@@ -354,7 +739,26 @@ class Socket extends EventEmitter {
       });
       this.packetsFn = [];
       this.sentCallbackFn = [];
-      this.clearTransport();
+      this.replayBuffer = [];
+      // 关闭后不会再收到回复
+      const acks = this.acks;
+      this.acks = {};
+      Object.keys(acks).forEach(id => {
+        clearTimeout(acks[id].timer);
+        acks[id].reject(new Error("socket closed (" + reason + ")"));
+      });
+      // 中断未完成的流
+      const streamError = new Error("socket closed (" + reason + ")");
+      Object.keys(this.readStreams).forEach(id => {
+        this.readStreams[id].abort(streamError);
+      });
+      Object.keys(this.writeStreams).forEach(id => {
+        this.writeStreams[id].destroy(streamError);
+      });
+      // 关闭后离开所有分组
+      Array.from(this.groups).forEach(name => this.leave(name));
+      // the transport has already been cleared upon disconnection
+      if ("disconnected" !== previousState) this.clearTransport();
       // 触发close事件给上层
       this.emit("close", reason, description);
     }
@@ -365,7 +769,7 @@ class Socket extends EventEmitter {
    *
    * @api private
    */
-  
+
   setupSendCallback() {
     const self = this;
     // 监听drain事件，底层通道在发送数据成功后会触发drain事件，然后执行回调
@@ -396,24 +800,117 @@ class Socket extends EventEmitter {
     }
   }
 
+  /**
+   * Number of bytes buffered for this socket, both in the write buffer and
+   * in the transport.
+   *
+   * @return {Number}
+   * @api public
+   */
+  get bufferedAmount() {
+    let bytes = this.transport.bufferedAmount || 0;
+    for (let i = 0; i < this.writeBuffer.length; i++) {
+      bytes += byteLength(this.writeBuffer[i].data);
+    }
+    return bytes;
+  }
+
   /**
    * Sends a message packet.
    *
    * @param {String} message
    * @param {Object} options
    * @param {Function} callback
-   * @return {Socket} for chaining
+   * @return {Boolean} false if the buffer is full and the caller should
+   *                   wait for the `drain` event before sending more data
    * @api public
    */
   // 发送数据包
   send(data, options, callback) {
     this.sendPacket("message", data, options, callback);
-    return this;
+    return this.writable;
   }
 
   write(data, options, callback) {
     this.sendPacket("message", data, options, callback);
-    return this;
+    return this.writable;
+  }
+
+  /**
+   * Sends a request and waits for the reply of the peer.
+   *
+   * Requests and replies are regular `message` packets whose data is
+   * `\u001e<q|r><id>:<data>`, so that they do not show up as `message`
+   * events. Only string data is supported.
+   *
+   * @param {String} data
+   * @param {Object} options - `timeout` in ms (defaults to the server
+   *                           `requestTimeout` option)
+   * @return {Promise} resolved with the data of the reply
+   * @api public
+   */
+  sendRequest(data, options) {
+    options = options || {};
+    return new Promise((resolve, reject) => {
+      if ("string" !== typeof data) {
+        return reject(new TypeError("request data must be a string"));
+      }
+      if ("closing" === this.readyState || "closed" === this.readyState) {
+        return reject(new Error("socket closed"));
+      }
+
+      const id = this.ackId++;
+      const timeout =
+        options.timeout !== undefined
+          ? options.timeout
+          : this.server.opts.requestTimeout;
+      const pending = { resolve: resolve, reject: reject, timer: null };
+      if (timeout) {
+        pending.timer = setTimeout(() => {
+          delete this.acks[id];
+          reject(new Error("request timeout"));
+        }, timeout);
+      }
+      this.acks[id] = pending;
+      this.sendPacket("message", encodeAck("q", id, data), options);
+    });
+  }
+
+  /**
+   * Asks the client to reconnect, to another server if an url is given.
+   * The control message is `\u001ex:<url>`, framed like the requests.
+   *
+   * @param {String} optional, url
+   * @api public
+   */
+  sendReconnect(url) {
+    this.sendPacket("message", RECONNECT + ":" + (url || ""));
+  }
+
+  /**
+   * Creates a stream sending its data to the peer, in chunks of at most
+   * `streamChunkSize` bytes. The peer gets it with the `stream` event.
+   *
+   * @param {Object} meta - sent along, e.g. the name of a file
+   * @return {stream.Writable}
+   * @api public
+   */
+  createWriteStream(meta) {
+    const opts = this.server.opts;
+    const chunkSize = Math.max(
+      1,
+      Math.min(
+        opts.streamChunkSize,
+        opts.maxHttpBufferSize - streams.HEADER_SIZE
+      )
+    );
+    const id = this.streamId++;
+    const stream = new streams.WriteStream(this, id, meta, chunkSize);
+    this.writeStreams[id] = stream;
+    stream.once("close", () => {
+      delete this.writeStreams[id];
+    });
+    return stream;
   }
 
   /**
@@ -434,26 +931,137 @@ class Socket extends EventEmitter {
     options = options || {};
     options.compress = false !== options.compress;
 
-    if ("closing" !== this.readyState && "closed" !== this.readyState) {
-      debug('sending packet "%s" (%s)', type, data);
+    const packet = {
+      type: type,
+      options: options
+    };
+    if (data) packet.data = data;
+
+    this.bufferPacket(packet, callback);
+  }
+
+  /**
+   * Buffers a packet and attempts to flush it. Broadcast packets are shared
+   * by all their recipients and must not be modified.
+   *
+   * @param {Object} packet
+   * @param {Function} callback
+   * @api private
+   */
+  bufferPacket(packet, callback) {
+    if ("closing" === this.readyState || "closed" === this.readyState) return;
 
-      const packet = {
-        type: type,
-        options: options
-      };
-      if (data) packet.data = data;
+    debug('sending packet "%s" (%s)', packet.type, packet.data);
 
-      // exports packetCreate event
-      this.emit("packetCreate", packet);
-      // 缓存起来
-      this.writeBuffer.push(packet);
+    // exports packetCreate event
+    this.emit("packetCreate", packet);
+    // 缓存起来
+    this.writeBuffer.push(packet);
 
-      // add send callback to object, if defined
-      // 保存发送成功后执行的回调
-      if (callback) this.packetsFn.push(callback);
-      // 发送
-      this.flush();
+    // add send callback to object, if defined
+    // 保存发送成功后执行的回调
+    if (callback) {
+      this.packetsFn.push(callback);
+      packetCallbacks.set(packet, callback);
     }
+
+    if ("message" === packet.type && this.isBufferFull(true)) {
+      this.onBufferOverflow();
+      if ("closed" === this.readyState) return;
+    }
+    this.writable = !this.isBufferFull(false);
+    // 发送
+    this.flush();
+  }
+
+  /**
+   * Joins a group, to receive the messages broadcast to it with
+   * `server.to(name)`.
+   *
+   * @param {String} name
+   * @return {Socket} for chaining
+   * @api public
+   */
+  join(name) {
+    if ("closed" === this.readyState || this.groups.has(name)) return this;
+    const groups = this.server.groups;
+    if (!groups.has(name)) groups.set(name, new Set());
+    groups.get(name).add(this);
+    this.groups.add(name);
+    return this;
+  }
+
+  /**
+   * Leaves a group.
+   *
+   * @param {String} name
+   * @return {Socket} for chaining
+   * @api public
+   */
+  leave(name) {
+    if (!this.groups.delete(name)) return this;
+    const members = this.server.groups.get(name);
+    members.delete(this);
+    // 空的分组直接删除
+    if (!members.size) this.server.groups.delete(name);
+    return this;
+  }
+
+  /**
+   * Checks the buffered data against the `maxBufferedPackets` and
+   * `maxBufferedBytes` options.
+   *
+   * @param {Boolean} overflow - whether to check that the limits are exceeded
+   *                             rather than reached
+   * @return {Boolean}
+   * @api private
+   */
+  isBufferFull(overflow) {
+    const maxPackets = this.server.opts.maxBufferedPackets;
+    const maxBytes = this.server.opts.maxBufferedBytes;
+    const margin = overflow ? 1 : 0;
+    if (maxPackets && this.writeBuffer.length >= maxPackets + margin) {
+      return true;
+    }
+    return !!maxBytes && this.bufferedAmount >= maxBytes + margin;
+  }
+
+  /**
+   * Applies the `bufferOverflow` policy when the buffer limits are exceeded.
+   *
+   * @api private
+   */
+  onBufferOverflow() {
+    const policy = this.server.opts.bufferOverflow;
+    debug("write buffer overflow (%s)", policy);
+
+    if ("close" === policy) {
+      this.onClose("buffer overflow");
+      return;
+    }
+
+    const dropped = [];
+    if ("drop-newest" === policy) {
+      dropped.push(this.writeBuffer.pop());
+    } else {
+      // 丢弃最早的message包，心跳等控制包保留
+      let i = 0;
+      while (i < this.writeBuffer.length && this.isBufferFull(true)) {
+        if ("message" === this.writeBuffer[i].type) {
+          dropped.push(this.writeBuffer.splice(i, 1)[0]);
+        } else {
+          i++;
+        }
+      }
+    }
+
+    // the callbacks of dropped packets will never be called
+    for (let i = 0; i < dropped.length; i++) {
+      // 重放的包的回调不在packetsFn中
+      const index = this.packetsFn.indexOf(packetCallbacks.get(dropped[i]));
+      if (index >= 0) this.packetsFn.splice(index, 1);
+    }
+    this.emit("overflow", dropped);
   }
 
   /**
@@ -464,6 +1072,7 @@ class Socket extends EventEmitter {
   flush() {
     if (
       "closed" !== this.readyState &&
+      "disconnected" !== this.readyState &&
       this.transport.writable &&
       this.writeBuffer.length
     ) {
@@ -472,6 +1081,7 @@ class Socket extends EventEmitter {
       this.server.emit("flush", this, this.writeBuffer);
       const wbuf = this.writeBuffer;
       this.writeBuffer = [];
+      if (this.server.opts.resumeTimeout) this.retain(wbuf);
       // 变成发送成功后执行的回调
       if (!this.transport.supportsFraming) {
         this.sentCallbackFn.push(this.packetsFn);
@@ -479,14 +1089,45 @@ class Socket extends EventEmitter {
         this.sentCallbackFn.push.apply(this.sentCallbackFn, this.packetsFn);
       }
       this.packetsFn = [];
+      // 轮询时ping包要等到客户端的GET请求到达后才真正发出，从这时开始计时
+      for (let i = 0; i < wbuf.length; i++) {
+        if ("ping" === wbuf[i].type) this.pingSentAt = Date.now();
+      }
       // 使用数据通道进行发送
       this.transport.send(wbuf);
+      this.writable = !this.isBufferFull(false);
       // 发完触发drain事件，可以继续发送
       this.emit("drain");
       this.server.emit("drain", this);
+    } else if (
+      !this.writable &&
+      !this.writeBuffer.length &&
+      "open" === this.readyState &&
+      !this.isBufferFull(false)
+    ) {
+      // the transport has drained the data it was still holding
+      this.writable = true;
+      this.emit("drain");
     }
   }
 
+  /**
+   * Keeps a copy of the flushed messages so they can be replayed if the
+   * transport is lost before the client receives them.
+   *
+   * @param {Array} packets
+   * @api private
+   */
+  retain(packets) {
+    for (let i = 0; i < packets.length; i++) {
+      if ("message" !== packets[i].type) continue;
+      this.replayBuffer.push({ seq: ++this.sentCount, packet: packets[i] });
+    }
+    const overflow =
+      this.replayBuffer.length - this.server.opts.resumeBufferSize;
+    if (overflow > 0) this.replayBuffer.splice(0, overflow);
+  }
+
   /**
    * Get available upgrades for this socket.
    *
@@ -516,6 +1157,11 @@ class Socket extends EventEmitter {
    */
   // 关闭数据通道
   close(discard) {
+    // 等待恢复的会话没有可用的通道，直接关闭
+    if ("disconnected" === this.readyState) {
+      this.onClose("forced close");
+      return;
+    }
     if ("open" !== this.readyState) return;
     // 正在关闭
     this.readyState = "closing";
@@ -541,4 +1187,91 @@ class Socket extends EventEmitter {
   }
 }
 
+/**
+ * Weight of the last sample in the smoothed round-trip time.
+ */
+
+const RTT_ALPHA = 0.125;
+
+/**
+ * Callbacks of the buffered packets, used to forget the callback of a
+ * dropped packet.
+ */
+
+const packetCallbacks = new WeakMap();
+
+/**
+ * Returns the size of the data of a packet.
+ *
+ * @api private
+ */
+
+function byteLength(data) {
+  if (!data) return 0;
+  if ("string" === typeof data) return Buffer.byteLength(data);
+  return data.byteLength || 0;
+}
+
+/**
+ * Prefix of request/reply messages.
+ */
+
+const ACK_PREFIX = "\u001e";
+// ids are canonical decimal integers, so that a reply matches one request
+const rAck = /^\u001e([qr])(0|[1-9]\d{0,14}):/;
+
+/**
+ * Prefix of the "reconnect elsewhere" control message.
+ */
+
+const RECONNECT = ACK_PREFIX + "x";
+
+/**
+ * Prefix of the authentication control messages, and of a refreshed token.
+ */
+
+const AUTH = ACK_PREFIX + "a";
+const AUTH_TOKEN = AUTH + "t:";
+
+/**
+ * Longest delay supported by setTimeout().
+ */
+
+const MAX_TIMEOUT = 0x7fffffff;
+
+/**
+ * Encodes a request (`q`) or a reply (`r`).
+ *
+ * @api private
+ */
+
+function encodeAck(type, id, data) {
+  return ACK_PREFIX + type + id + ":" + (data === undefined ? "" : data);
+}
+
+/**
+ * Decodes a request or a reply, returns `null` for regular messages.
+ *
+ * @api private
+ */
+
+function decodeAck(data) {
+  if ("string" !== typeof data || ACK_PREFIX !== data.charAt(0)) return null;
+  const match = rAck.exec(data);
+  if (!match) return null;
+  return {
+    type: match[1],
+    id: Number(match[2]),
+    data: data.slice(match[0].length)
+  };
+}
+
+/**
+ * Size of the data of a packet, shared with the metrics.
+ *
+ * @api private
+ */
+
+Socket.byteLength = byteLength;
+
 module.exports = Socket;
@@ -0,0 +1,103 @@
+const fs = require("fs");
+const path = require("path");
+const promisify = require("util").promisify;
+const debug = require("debug")("engine:store");
+
+const readFile = promisify(fs.readFile);
+const writeFile = promisify(fs.writeFile);
+const rename = promisify(fs.rename);
+const unlink = promisify(fs.unlink);
+
+/**
+ * Session stores keep track of which process owns each session, so that a
+ * request hitting another process can be forwarded to the owner.
+ *
+ * A store implements `get(sid)`, `set(sid, session)` and `delete(sid)`, each
+ * returning a Promise. `get` resolves with `null` for unknown sessions.
+ */
+
+// 默认的存储，只在当前进程内有效
+class MemoryStore {
+  /**
+   * In-memory session store.
+   *
+   * @api public
+   */
+  constructor() {
+    this.sessions = {};
+  }
+
+  get(sid) {
+    return Promise.resolve(
+      this.sessions.hasOwnProperty(sid) ? this.sessions[sid] : null
+    );
+  }
+
+  set(sid, session) {
+    this.sessions[sid] = session;
+    return Promise.resolve();
+  }
+
+  delete(sid) {
+    delete this.sessions[sid];
+    return Promise.resolve();
+  }
+}
+
+// 基于文件的存储，每个session一个文件，多个进程可以共享同一个目录
+class FileStore {
+  /**
+   * Session store backed by a local directory, shared by all the processes
+   * of the host.
+   *
+   * @param {String} directory
+   * @api public
+   */
+  constructor(dir) {
+    this.dir = dir;
+    try {
+      fs.mkdirSync(dir);
+    } catch (e) {
+      if ("EEXIST" !== e.code) throw e;
+    }
+  }
+
+  /**
+   * Returns the path of the file of a session. The sid comes from the query
+   * string, so it is encoded to stay inside the directory.
+   *
+   * @api private
+   */
+  file(sid) {
+    return path.join(this.dir, encodeURIComponent(sid) + ".json");
+  }
+
+  get(sid) {
+    return readFile(this.file(sid), "utf8").then(
+      data => JSON.parse(data),
+      err => {
+        if ("ENOENT" === err.code) return null;
+        throw err;
+      }
+    );
+  }
+
+  set(sid, session) {
+    // write then rename, so that readers never see a partial file
+    const file = this.file(sid);
+    const tmp = file + "." + process.pid + ".tmp";
+    return writeFile(tmp, JSON.stringify(session)).then(() =>
+      rename(tmp, file)
+    );
+  }
+
+  delete(sid) {
+    return unlink(this.file(sid)).catch(err => {
+      if ("ENOENT" !== err.code) throw err;
+      debug('session "%s" already deleted', sid);
+    });
+  }
+}
+
+exports.MemoryStore = MemoryStore;
+exports.FileStore = FileStore;
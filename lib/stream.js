@@ -0,0 +1,242 @@
+const crypto = require("crypto");
+const Readable = require("stream").Readable;
+const Writable = require("stream").Writable;
+const debug = require("debug")("engine:stream");
+
+/**
+ * Streams are sent as a sequence of regular `message` packets, so that they
+ * are interleaved with the other messages:
+ *
+ * - `\u001esn<id>:<meta>` opens a stream, `meta` being JSON
+ * - a binary message `\u001e s <id> <seq>` (32-bit integers) followed by the
+ *   bytes of a chunk
+ * - `\u001ese<id>:<count>:<length>:<sha1>` ends a stream, so that the
+ *   receiver can check that nothing is missing
+ * - `\u001esa<id>:<reason>` aborts a stream
+ */
+
+const PREFIX = "\u001es";
+const rControl = /^\u001es([nea])(\d+):/;
+const HEADER_SIZE = 10;
+
+// 发送方：把写入的数据切分成多个包发送
+class WriteStream extends Writable {
+  /**
+   * Outgoing stream.
+   *
+   * @param {Socket} socket
+   * @param {Number} id
+   * @param {Object} meta
+   * @param {Number} size of the chunks
+   * @api private
+   */
+  constructor(socket, id, meta, chunkSize) {
+    super();
+    this.socket = socket;
+    this.id = id;
+    this.chunkSize = chunkSize;
+    this.seq = 0;
+    this.length = 0;
+    this.hash = crypto.createHash("sha1");
+    this.ended = false;
+
+    socket.sendPacket(
+      "message",
+      PREFIX + "n" + id + ":" + JSON.stringify(meta || {})
+    );
+  }
+
+  _write(chunk, encoding, callback) {
+    for (let offset = 0; offset < chunk.length; offset += this.chunkSize) {
+      const data = chunk.slice(offset, offset + this.chunkSize);
+      const header = Buffer.alloc(HEADER_SIZE);
+      header.write(PREFIX, 0, "binary");
+      header.writeUInt32BE(this.id, 2);
+      header.writeUInt32BE(this.seq++, 6);
+      this.hash.update(data);
+      this.length += data.length;
+      this.socket.sendPacket("message", Buffer.concat([header, data]));
+    }
+
+    const state = this.socket.readyState;
+    if ("closing" === state || "closed" === state) {
+      return callback(new Error("socket closed"));
+    }
+    // 数据还没有交给通道，等待drain事件后再继续写
+    if (this.socket.writable && !this.socket.writeBuffer.length) {
+      return callback();
+    }
+    debug("stream %d waiting for drain", this.id);
+    const socket = this.socket;
+    function onDrain() {
+      socket.removeListener("close", onClose);
+      callback();
+    }
+    function onClose() {
+      socket.removeListener("drain", onDrain);
+      callback(new Error("socket closed"));
+    }
+    socket.once("drain", onDrain);
+    socket.once("close", onClose);
+  }
+
+  _final(callback) {
+    this.ended = true;
+    this.socket.sendPacket(
+      "message",
+      PREFIX +
+        "e" +
+        this.id +
+        ":" +
+        this.seq +
+        ":" +
+        this.length +
+        ":" +
+        this.hash.digest("hex")
+    );
+    callback();
+  }
+
+  _destroy(err, callback) {
+    if (!this.ended) {
+      this.ended = true;
+      this.socket.sendPacket(
+        "message",
+        encodeAbort(this.id, err ? err.message : "aborted")
+      );
+    }
+    callback(err);
+  }
+}
+
+// 接收方：按顺序重新组装收到的数据，结束时校验完整性
+class ReadStream extends Readable {
+  /**
+   * Incoming stream.
+   *
+   * @param {Number} id
+   * @api private
+   */
+  constructor(id) {
+    super();
+    this.id = id;
+    this.seq = 0;
+    this.length = 0;
+    this.hash = crypto.createHash("sha1");
+    // 结束或中断后，后续的帧都被忽略
+    this.done = false;
+  }
+
+  /**
+   * Adds a chunk, in sequence.
+   *
+   * @api private
+   */
+  onChunk(seq, data) {
+    if (this.done) return;
+    if (seq !== this.seq) {
+      this.abort(
+        new Error("unexpected chunk " + seq + ", expecting " + this.seq)
+      );
+      return;
+    }
+    this.seq++;
+    this.length += data.length;
+    this.hash.update(data);
+    this.push(data);
+  }
+
+  /**
+   * Checks the received data against the summary of the sender.
+   *
+   * @api private
+   */
+  onEnd(count, length, digest) {
+    if (this.done) return;
+    this.done = true;
+    if (
+      count !== this.seq ||
+      length !== this.length ||
+      digest !== this.hash.digest("hex")
+    ) {
+      this.abort(new Error("stream integrity check failed"));
+      return;
+    }
+    this.push(null);
+  }
+
+  /**
+   * Destroys the stream. The error is only emitted if it is listened to,
+   * an unhandled `error` event would throw.
+   *
+   * @param {Error} error
+   * @api private
+   */
+  abort(err) {
+    this.done = true;
+    if (this.destroyed) return;
+    if (this.listenerCount("error")) {
+      this.destroy(err);
+    } else {
+      debug("stream %d aborted: %s", this.id, err.message);
+      this.destroy();
+    }
+  }
+
+  // 数据由对端推送，不需要主动读取
+  _read() {}
+}
+
+/**
+ * Encodes the frame aborting a stream.
+ *
+ * @param {Number} id
+ * @param {String} reason
+ * @return {String}
+ * @api private
+ */
+
+function encodeAbort(id, reason) {
+  return PREFIX + "a" + id + ":" + reason;
+}
+
+/**
+ * Decodes a stream frame, returns `null` for other messages.
+ *
+ * @param {String|Buffer} message data
+ * @return {Object}
+ * @api private
+ */
+
+function decodeFrame(data) {
+  if ("string" === typeof data) {
+    if (PREFIX !== data.slice(0, 2)) return null;
+    const match = rControl.exec(data);
+    if (!match) return null;
+    return {
+      type: match[1],
+      id: Number(match[2]),
+      data: data.slice(match[0].length)
+    };
+  }
+  if (
+    Buffer.isBuffer(data) &&
+    data.length >= HEADER_SIZE &&
+    0x1e === data[0] &&
+    0x73 === data[1]
+  ) {
+    return {
+      type: "d",
+      id: data.readUInt32BE(2),
+      seq: data.readUInt32BE(6),
+      data: data.slice(HEADER_SIZE)
+    };
+  }
+  return null;
+}
+
+exports.WriteStream = WriteStream;
+exports.ReadStream = ReadStream;
+exports.decodeFrame = decodeFrame;
+exports.encodeAbort = encodeAbort;
+exports.HEADER_SIZE = HEADER_SIZE;
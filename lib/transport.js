@@ -21,6 +21,30 @@ class Transport extends EventEmitter {
     super();
     this.readyState = "open";
     this.discarded = false;
+    // whether the client closed the transport on purpose
+    this.clientClosed = false;
+    // 编解码器，默认使用engine.io-parser
+    this.codec = parser;
+    // 限流时，在这个时间点之前不再读取数据
+    this.readResumeAt = 0;
+  }
+
+  /**
+   * Whether the transport can carry the data of binary codecs.
+   *
+   * @api public
+   */
+  get supportsBinaryCodec() {
+    return true;
+  }
+
+  /**
+   * Number of bytes accepted by the transport but not written yet.
+   *
+   * @api public
+   */
+  get bufferedAmount() {
+    return 0;
   }
 
   /**
@@ -85,6 +109,39 @@ class Transport extends EventEmitter {
     this.emit("packet", packet);
   }
 
+  /**
+   * Encodes a packet. The packets broadcast to several sockets carry an
+   * `encoded` cache, so that they are encoded once per codec and binary
+   * mode.
+   *
+   * @param {Object} packet
+   * @param {Boolean} whether binary data can be sent as is
+   * @param {Function} callback
+   * @api private
+   */
+  encodePacket(packet, supportsBinary, fn) {
+    const codec = this.codec;
+    const cache = packet.encoded;
+    if (!cache) return codec.encodePacket(packet, supportsBinary, fn);
+    const key = (codec.name || "") + (supportsBinary ? ":binary" : ":text");
+    if (undefined === cache[key]) {
+      codec.encodePacket(packet, supportsBinary, function(data) {
+        cache[key] = data;
+      });
+    }
+    fn(cache[key]);
+  }
+
+  /**
+   * Delays the reading of the incoming data, to rate limit the client.
+   *
+   * @param {Number} delay in ms
+   * @api private
+   */
+  delayReading(delay) {
+    this.readResumeAt = Math.max(this.readResumeAt, Date.now() + delay);
+  }
+
   /**
    * Called with the encoded packet data.
    *
@@ -93,7 +150,7 @@ class Transport extends EventEmitter {
    */
   // 有数据到来时执行
   onData(data) {
-    this.onPacket(parser.decodePacket(data));
+    this.onPacket(this.codec.decodePacket(data));
   }
 
   /**
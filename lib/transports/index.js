@@ -4,10 +4,14 @@ const JSONP = require("./polling-jsonp");
 /**
  * Export transports.
  */
-// 三种传输通道
+// 四种传输通道
 module.exports = exports = {
   // 轮询分为两种，xhr和jsonp
   polling: polling,
+  // Server-Sent Events
+  sse: require("./sse"),
+  // 分块传输的HTTP流
+  "xhr-streaming": require("./xhr-streaming"),
   // websocket
   websocket: require("./websocket")
 };
@@ -15,18 +19,25 @@ module.exports = exports = {
 /**
  * Export upgrades map.
  */
-// polling可切换到websocket
+// polling和sse可切换到websocket
 exports.polling.upgradesTo = ["websocket"];
+exports.sse.upgradesTo = ["websocket"];
+exports["xhr-streaming"].upgradesTo = ["websocket"];
 
 /**
  * Polling polymorphic constructor.
  *
+ * @param {http.IncomingMessage} request
+ * @param {Object} server options, JSONP is disabled with `jsonp: false` and
+ *                 hardened with `jsonp: "strict"`
  * @api private
  */
 
-function polling(req) {
+function polling(req, opts) {
   if ("string" === typeof req._query.j) {
-    return new JSONP(req);
+    const jsonp = opts ? opts.jsonp : true;
+    if (false === jsonp) throw new Error("JSONP is disabled");
+    return new JSONP(req, "strict" === jsonp);
   } else {
     return new XHR(req);
   }
@@ -1,25 +1,79 @@
 const Polling = require("./polling");
 const qs = require("querystring");
+const debug = require("debug")("engine:jsonp");
 const rDoubleSlashes = /\\\\n/g;
 const rSlashes = /(\\)?\\n/g;
+// index of the callback in strict mode, from 0 to 9999
+const rIndex = /^(?:0|[1-9]\d{0,3})$/;
 
 class JSONP extends Polling {
   /**
    * JSON-P polling transport.
    *
+   * @param {http.IncomingMessage} request
+   * @param {Boolean} strict mode: checked callback index, JavaScript
+   *                  content type and form-encoded data requests only
    * @api public
    */
-  constructor(req) {
+  constructor(req, strict) {
     super(req);
 
-    this.head = "___eio[" + (req._query.j || "").replace(/[^0-9]/g, "") + "](";
+    this.strict = !!strict;
+    let index = req._query.j || "";
+    if (!this.strict) {
+      index = index.replace(/[^0-9]/g, "");
+    } else if (!rIndex.test(index)) {
+      throw new Error('invalid JSONP index "' + index + '"');
+    }
+    this.head = "___eio[" + index + "](";
     this.foot = ");";
   }
 
+  /**
+   * JSONP is text only.
+   *
+   * @api public
+   */
+  get supportsBinaryCodec() {
+    return false;
+  }
+
+  /**
+   * The payloads are form-encoded, they are decoded once complete.
+   *
+   * @api private
+   */
+  get incrementalDecoding() {
+    return false;
+  }
+
+  /**
+   * The client sends a request with data. In strict mode, only the form
+   * posts of the client are accepted.
+   *
+   * @api private
+   */
+  onDataRequest(req, res) {
+    const type = (req.headers["content-type"] || "").split(";")[0];
+    if (
+      this.strict &&
+      "application/x-www-form-urlencoded" !== type.trim().toLowerCase()
+    ) {
+      debug('rejecting data request of type "%s"', type);
+      res.writeHead(400, this.headers(req, { "Content-Type": "text/html" }));
+      res.end();
+      return;
+    }
+    super.onDataRequest(req, res);
+  }
+
   /**
    * Handles incoming data.
    * Due to a bug in \n handling by browsers, we expect a escaped string.
    *
+   * The escaping of the client is lossy, in both modes: a backslash before
+   * a newline is sent like an escaped `\n`, and is received as `\n`.
+   *
    * @api private
    */
   onData(data) {
@@ -53,6 +107,23 @@ class JSONP extends Polling {
 
     super.doWrite(data, options, callback);
   }
+
+  /**
+   * Returns headers for a response. In strict mode, the payloads are
+   * served as JavaScript and the browsers must not guess another type.
+   *
+   * @api private
+   */
+  headers(req, headers) {
+    headers = headers || {};
+    if (this.strict) {
+      if ("text/plain; charset=UTF-8" === headers["Content-Type"]) {
+        headers["Content-Type"] = "application/javascript; charset=UTF-8";
+      }
+      headers["X-Content-Type-Options"] = "nosniff";
+    }
+    return super.headers(req, headers);
+  }
 }
 
 module.exports = JSONP;
@@ -1,4 +1,5 @@
 const Transport = require("../transport");
+const PayloadDecoder = require("../payload");
 const parser = require("engine.io-parser");
 const zlib = require("zlib");
 const accepts = require("accepts");
@@ -21,6 +22,11 @@ class Polling extends Transport {
     this.closeTimeout = 30 * 1000;
     this.maxHttpBufferSize = null;
     this.httpCompression = null;
+    // 慢速请求的保护：读取请求体的最长时间和最低速率（字节每秒），轮询请求的最长时间
+    this.bodyTimeout = 0;
+    this.minBodyRate = 0;
+    this.maxPollDuration = 0;
+    this.pollTimer = null;
   }
 
   /**
@@ -32,6 +38,16 @@ class Polling extends Transport {
     return "polling";
   }
 
+  /**
+   * Whether the payloads of the data requests are decoded as they arrive,
+   * which is only possible with the format of `engine.io-parser`.
+   *
+   * @api private
+   */
+  get incrementalDecoding() {
+    return parser === this.codec;
+  }
+
   /**
    * Overrides onRequest.
    *
@@ -74,10 +90,12 @@ class Polling extends Transport {
     const self = this;
 
     function onClose() {
+      clearTimeout(self.pollTimer);
       self.onError("poll connection closed prematurely");
     }
 
     function cleanup() {
+      clearTimeout(self.pollTimer);
       req.removeListener("close", onClose);
       self.req = self.res = null;
     }
@@ -93,10 +111,22 @@ class Polling extends Transport {
       debug("triggering empty send to append close packet");
       this.send([{ type: "noop" }]);
     }
+
+    // 一直没有数据时回复noop，不让请求无限期地挂起
+    if (this.writable && this.maxPollDuration) {
+      this.pollTimer = setTimeout(function() {
+        if ("open" !== self.readyState || self.req !== req) return;
+        debug("max poll duration reached");
+        self.send([{ type: "noop" }]);
+      }, this.maxPollDuration);
+    }
   }
 
   /**
-   * The client sends a request with data.
+   * The client sends a request with data. The request is aborted if its
+   * body is not read within `bodyTimeout` ms, or if less than `minBodyRate`
+   * bytes are received in a second. Both the payload and each of its
+   * packets are limited to `maxHttpBufferSize` bytes.
    *
    * @api private
    */
@@ -114,10 +144,33 @@ class Polling extends Transport {
     this.dataReq = req;
     this.dataRes = res;
 
-    let chunks = isBinary ? Buffer.concat([]) : "";
     const self = this;
+    // 能增量解码时，每个包接收完整后立即处理；否则保存数据块，接收完毕后一次解码
+    const decoder = this.incrementalDecoding
+      ? new PayloadDecoder(
+          { binary: isBinary, maxPacketSize: this.maxHttpBufferSize },
+          function(packet) {
+            return self.onPayloadPacket(packet);
+          }
+        )
+      : null;
+    let chunks = [];
+    let size = 0;
+
+    let ackTimer;
+    let bodyTimer;
+    let rateTimer;
+    // bytes received since the last rate check
+    let received = 0;
+
+    function stopTimers() {
+      clearTimeout(bodyTimer);
+      clearInterval(rateTimer);
+    }
 
     function cleanup() {
+      stopTimers();
+      clearTimeout(ackTimer);
       req.removeListener("data", onData);
       req.removeListener("end", onEnd);
       req.removeListener("close", onClose);
@@ -128,26 +181,60 @@ class Polling extends Transport {
       cleanup();
       self.onError("data request connection closed prematurely");
     }
-    // 保存数据
+
+    function abort(reason) {
+      debug("aborting data request: %s", reason);
+      cleanup();
+      req.connection.destroy();
+      self.onError(reason);
+    }
+    // 超过大小限制时断开连接
+    function reject(limit) {
+      debug("data request exceeding the %s size limit", limit);
+      chunks = [];
+      req.connection.destroy();
+    }
+    // 解码或保存数据
     function onData(data) {
-      let contentLength;
-      if (isBinary) {
-        chunks = Buffer.concat([chunks, data]);
-        contentLength = chunks.length;
-      } else {
-        chunks += data;
-        contentLength = Buffer.byteLength(chunks);
+      const length = isBinary ? data.length : Buffer.byteLength(data);
+      received += length;
+      size += length;
+      req._bodySize = size;
+      if (size > self.maxHttpBufferSize) {
+        reject("payload");
+        return;
       }
 
-      if (contentLength > self.maxHttpBufferSize) {
-        chunks = isBinary ? Buffer.concat([]) : "";
-        req.connection.destroy();
+      if (!decoder) {
+        chunks.push(data);
+        return;
       }
+      debug('received "%s"', data);
+      const exceeded = decoder.write(data);
+      if (exceeded) reject(exceeded);
     }
     // 接收完毕后，处理，然后回复
     function onEnd() {
-      self.onData(chunks);
+      stopTimers();
+      if (decoder) {
+        decoder.end();
+      } else {
+        self.onData(isBinary ? Buffer.concat(chunks, size) : chunks.join(""));
+      }
+
+      // 限流时推迟确认，客户端收到确认后才会发送下一个请求
+      const delay = self.readResumeAt - Date.now();
+      if (delay > 0 && self.dataReq) {
+        debug("delaying data request acknowledgement for %dms", delay);
+        // the request is fully read, its close event is not an error
+        req.removeListener("close", onClose);
+        ackTimer = setTimeout(acknowledge, delay);
+        return;
+      }
+      acknowledge();
+    }
 
+    function acknowledge() {
       const headers = {
         // text/html is required instead of text/plain to avoid an
         // unwanted download dialog on certain user-agents (GH-43)
@@ -164,6 +251,37 @@ class Polling extends Transport {
     if (!isBinary) req.setEncoding("utf8");
     req.on("data", onData);
     req.on("end", onEnd);
+
+    if (this.bodyTimeout) {
+      bodyTimer = setTimeout(function() {
+        abort("data request timeout");
+      }, this.bodyTimeout);
+    }
+    if (this.minBodyRate) {
+      rateTimer = setInterval(function() {
+        if (received < self.minBodyRate) {
+          abort("data request too slow");
+          return;
+        }
+        received = 0;
+      }, 1000);
+    }
+  }
+
+  /**
+   * Aborts the ongoing data request, unless its body is entirely received:
+   * the packets are handled as they arrive, and the last one might close the
+   * transport before the end of the request.
+   *
+   * @api private
+   */
+  abortDataRequest() {
+    const req = this.dataReq;
+    if (!req) return;
+    const length = Number(req.headers["content-length"]);
+    if (req.complete || req._bodySize === length) return;
+    debug("aborting ongoing data request");
+    req.destroy();
   }
 
   /**
@@ -176,16 +294,28 @@ class Polling extends Transport {
     debug('received "%s"', data);
     const self = this;
     const callback = function(packet) {
-      if ("close" === packet.type) {
-        debug("got xhr close packet");
-        self.onClose();
-        return false;
-      }
-
-      self.onPacket(packet);
+      return self.onPayloadPacket(packet);
     };
 
-    parser.decodePayload(data, callback);
+    this.codec.decodePayload(data, callback);
+  }
+
+  /**
+   * Handles a packet of an incoming payload.
+   *
+   * @param {Object} packet
+   * @return {Boolean} `false` to stop decoding the payload
+   * @api private
+   */
+  onPayloadPacket(packet) {
+    if ("close" === packet.type) {
+      debug("got xhr close packet");
+      this.clientClosed = true;
+      this.onClose();
+      return false;
+    }
+
+    this.onPacket(packet);
   }
 
   /**
@@ -218,10 +348,30 @@ class Polling extends Transport {
     }
 
     const self = this;
-    parser.encodePayload(packets, this.supportsBinary, function(data) {
-      const compress = packets.some(function(packet) {
-        return packet.options && packet.options.compress;
+    const compress = packets.some(function(packet) {
+      return packet.options && packet.options.compress;
+    });
+
+    // 文本格式的payload可以复用广播包的编码
+    const shared = packets.some(function(packet) {
+      return packet.encoded;
+    });
+    if (
+      shared &&
+      parser === this.codec &&
+      !(this.supportsBinary && hasBinary(packets))
+    ) {
+      let payload = "";
+      packets.forEach(function(packet) {
+        self.encodePacket(packet, false, function(data) {
+          payload += data.length + ":" + data;
+        });
       });
+      self.write(payload, { compress: compress });
+      return;
+    }
+
+    this.codec.encodePayload(packets, this.supportsBinary, function(data) {
       self.write(data, { compress: compress });
     });
   }
@@ -331,18 +481,17 @@ class Polling extends Transport {
     const self = this;
     let closeTimeoutTimer;
 
-    if (this.dataReq) {
-      debug("aborting ongoing data request");
-      this.dataReq.destroy();
-    }
+    this.abortDataRequest();
 
-    if (this.writable) {
+    if (this.discarded) {
+      debug("transport discarded - closing right away");
+      // 会话等待恢复，挂起的请求不能收到close包，客户端重新请求时恢复会话
+      if (this.writable) this.send([{ type: "noop" }]);
+      onClose();
+    } else if (this.writable) {
       debug("transport writable - closing right away");
       this.send([{ type: "close" }]);
       onClose();
-    } else if (this.discarded) {
-      debug("transport discarded - closing right away");
-      onClose();
     } else {
       debug("transport not writable - buffering orderly close");
       this.shouldClose = onClose;
@@ -378,4 +527,22 @@ class Polling extends Transport {
   }
 }
 
+/**
+ * Checks whether some of the packets carry binary data.
+ *
+ * @param {Array} packets
+ * @return {Boolean}
+ * @api private
+ */
+
+function hasBinary(packets) {
+  return packets.some(function(packet) {
+    const data = packet.data;
+    return (
+      Buffer.isBuffer(data) ||
+      (data && (data.buffer || data) instanceof ArrayBuffer)
+    );
+  });
+}
+
 module.exports = Polling;
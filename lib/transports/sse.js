@@ -0,0 +1,181 @@
+const Polling = require("./polling");
+const parser = require("engine.io-parser");
+const debug = require("debug")("engine:sse");
+
+// 基于Server-Sent Events的通道：下行数据通过一个一直不结束的GET请求推送，上行数据和轮询一样通过POST发送
+class SSE extends Polling {
+  /**
+   * Server-Sent Events transport.
+   *
+   * @param {http.IncomingMessage} request
+   * @api public
+   */
+  constructor(req) {
+    super(req);
+    this.writable = false;
+  }
+
+  /**
+   * Transport name
+   *
+   * @api public
+   */
+  get name() {
+    return "sse";
+  }
+
+  /**
+   * Advertise framing support.
+   *
+   * @api public
+   */
+  get supportsFraming() {
+    return true;
+  }
+
+  /**
+   * The event stream is text only.
+   *
+   * @api public
+   */
+  get supportsBinaryCodec() {
+    return false;
+  }
+
+  /**
+   * Number of bytes written to the event stream but not flushed yet.
+   *
+   * @api public
+   */
+  get bufferedAmount() {
+    return this.res ? this.res.writableLength : 0;
+  }
+
+  /**
+   * Opens the event stream. The response is kept open until the transport
+   * is closed.
+   *
+   * @api private
+   */
+  onPollRequest(req, res) {
+    if (this.req) {
+      debug("request overlap");
+      this.onError("overlap from client");
+      res.writeHead(500);
+      res.end();
+      return;
+    }
+
+    debug("opening event stream");
+
+    this.req = req;
+    this.res = res;
+
+    const self = this;
+
+    function onClose() {
+      cleanup();
+      if ("open" === self.readyState) {
+        self.onError("event stream closed prematurely");
+      }
+    }
+
+    function cleanup() {
+      res.removeListener("close", onClose);
+      self.writable = false;
+      self.req = self.res = null;
+    }
+
+    req.cleanup = cleanup;
+    res.on("close", onClose);
+
+    res.writeHead(
+      200,
+      this.headers(req, {
+        "Content-Type": "text/event-stream; charset=UTF-8",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive"
+      })
+    );
+
+    this.writable = true;
+    this.emit("drain");
+  }
+
+  /**
+   * Writes packets as events. Binary data is always base64 encoded since
+   * the stream is text only.
+   *
+   * @param {Array} packets
+   * @api private
+   */
+  send(packets) {
+    const self = this;
+    for (let i = 0; i < packets.length; i++) {
+      this.encodePacket(packets[i], false, write);
+    }
+
+    function write(data) {
+      debug('writing "%s"', data);
+      self.writable = false;
+      self.res.write(toEvent(data), onEnd);
+    }
+
+    function onEnd(err) {
+      if (err) return self.onError("write error", err.stack);
+      if (!self.res) return;
+      self.writable = true;
+      self.emit("drain");
+    }
+  }
+
+  /**
+   * Closes the transport.
+   *
+   * @api private
+   */
+  doClose(fn) {
+    debug("closing");
+
+    this.abortDataRequest();
+
+    if (this.res && !this.discarded) {
+      const res = this.res;
+      parser.encodePacket({ type: "close" }, false, function(data) {
+        res.write(toEvent(data));
+      });
+    }
+
+    fn();
+    this.onClose();
+  }
+
+  /**
+   * Overrides onClose to end the event stream.
+   *
+   * @api private
+   */
+  onClose() {
+    if (this.res) {
+      const res = this.res;
+      this.req.cleanup();
+      res.end();
+    }
+    super.onClose();
+  }
+}
+
+/**
+ * Formats an encoded packet as an event. The data of an event cannot contain
+ * newlines, so each line is sent in its own `data` field.
+ *
+ * @param {String} encoded packet
+ * @return {String}
+ * @api private
+ */
+
+function toEvent(data) {
+  return "data: " + data.split("\n").join("\ndata: ") + "\n\n";
+}
+
+module.exports = SSE;
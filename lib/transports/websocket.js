@@ -1,5 +1,4 @@
 const Transport = require("../transport");
-const parser = require("engine.io-parser");
 const debug = require("debug")("engine:ws");
 
 // 基于ws模块的封装
@@ -16,13 +15,19 @@ class WebSocket extends Transport {
     this.socket = req.websocket;
     // 注册事件，由ws模块触发，然后再往上层触发
     this.socket.on("message", this.onData.bind(this));
-    this.socket.once("close", this.onClose.bind(this));
+    this.socket.once("close", code => {
+      // 1006 means the connection was dropped without a close frame
+      this.clientClosed = code !== 1006;
+      this.onClose();
+    });
     this.socket.on("error", this.onError.bind(this));
     this.socket.on("headers", headers => {
       this.emit("headers", headers);
     });
     this.writable = true;
     this.perMessageDeflate = null;
+    // 限流时恢复读取的定时器
+    this.readTimer = null;
   }
 
   /**
@@ -52,6 +57,15 @@ class WebSocket extends Transport {
     return true;
   }
 
+  /**
+   * Number of bytes queued by the websocket.
+   *
+   * @api public
+   */
+  get bufferedAmount() {
+    return this.socket.bufferedAmount;
+  }
+
   /**
    * Processes the incoming data.
    *
@@ -63,6 +77,31 @@ class WebSocket extends Transport {
     super.onData(data);
   }
 
+  /**
+   * Pauses the underlying connection, so that the client cannot send more
+   * data until the delay is over.
+   *
+   * @param {Number} delay in ms
+   * @api private
+   */
+  delayReading(delay) {
+    super.delayReading(delay);
+    const conn = this.socket._socket;
+    if (!conn || this.readTimer) return;
+    debug("pausing reading for %dms", delay);
+    conn.pause();
+    const resume = () => {
+      const remaining = this.readResumeAt - Date.now();
+      if (remaining > 0) {
+        this.readTimer = setTimeout(resume, remaining);
+        return;
+      }
+      this.readTimer = null;
+      conn.resume();
+    };
+    this.readTimer = setTimeout(resume, delay);
+  }
+
   /**
    * Writes a packet payload.
    *
@@ -74,7 +113,7 @@ class WebSocket extends Transport {
     // 对数据编码，然后调用ws模块的send方法发送，他会再次编码（按照websocket协议）
     for (var i = 0; i < packets.length; i++) {
       var packet = packets[i];
-      parser.encodePacket(packet, self.supportsBinary, send);
+      self.encodePacket(packet, self.supportsBinary, send);
     }
 
     function send(data) {
@@ -113,6 +152,7 @@ class WebSocket extends Transport {
   // 关闭websocket
   doClose(fn) {
     debug("closing");
+    clearTimeout(this.readTimer);
     this.socket.close();
     fn && fn();
   }
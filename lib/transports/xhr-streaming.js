@@ -0,0 +1,231 @@
+const Polling = require("./polling");
+const debug = require("debug")("engine:xhr-streaming");
+
+// 基于HTTP流的通道：下行数据写入一个分块传输的GET响应中，不必每次都等待客户端重新发起请求
+// 响应写入一定的字节数或者持续一段时间后会被结束，避免代理服务器一直缓存数据，客户端随后重新发起请求
+class XHRStreaming extends Polling {
+  /**
+   * HTTP streaming transport.
+   *
+   * @param {http.IncomingMessage} request
+   * @api public
+   */
+  constructor(req) {
+    super(req);
+    this.writable = false;
+    // budget of a response, in bytes and in ms
+    this.maxBytes = 128 * 1024;
+    this.maxAge = 25000;
+    this.written = 0;
+    this.recycleTimer = null;
+  }
+
+  /**
+   * Transport name
+   *
+   * @api public
+   */
+  get name() {
+    return "xhr-streaming";
+  }
+
+  /**
+   * Advertise framing support.
+   *
+   * @api public
+   */
+  get supportsFraming() {
+    return true;
+  }
+
+  /**
+   * The stream is text only.
+   *
+   * @api public
+   */
+  get supportsBinaryCodec() {
+    return false;
+  }
+
+  /**
+   * Number of bytes written to the response but not flushed yet.
+   *
+   * @api public
+   */
+  get bufferedAmount() {
+    return this.res ? this.res.writableLength : 0;
+  }
+
+  /**
+   * Opens the streaming response.
+   *
+   * @api private
+   */
+  onPollRequest(req, res) {
+    if (this.req) {
+      debug("request overlap");
+      this.onError("overlap from client");
+      res.writeHead(500);
+      res.end();
+      return;
+    }
+
+    debug("opening streaming response");
+
+    this.req = req;
+    this.res = res;
+    this.written = 0;
+
+    const self = this;
+
+    function onClose() {
+      cleanup();
+      if ("open" === self.readyState) {
+        self.onError("streaming connection closed prematurely");
+      }
+    }
+
+    function cleanup() {
+      res.removeListener("close", onClose);
+      clearTimeout(self.recycleTimer);
+      self.writable = false;
+      self.req = self.res = null;
+    }
+
+    req.cleanup = cleanup;
+    res.on("close", onClose);
+
+    // no Content-Length, so that node uses the chunked transfer encoding
+    res.writeHead(
+      200,
+      this.headers(req, {
+        "Content-Type": "text/plain; charset=UTF-8",
+        "Cache-Control": "no-cache",
+        "X-Content-Type-Options": "nosniff"
+      })
+    );
+
+    this.recycleTimer = setTimeout(this.recycle.bind(this), this.maxAge);
+
+    this.writable = true;
+    this.emit("drain");
+
+    // if we're still writable but had a pending close, trigger an empty send
+    if (this.writable && this.shouldClose) {
+      debug("triggering empty send to append close packet");
+      this.send([{ type: "noop" }]);
+    }
+  }
+
+  /**
+   * Writes a payload as a chunk of the response: its length, a newline and
+   * the payload itself. Binary data is always base64 encoded.
+   *
+   * @param {Array} packets
+   * @api private
+   */
+  send(packets) {
+    this.writable = false;
+
+    const shouldClose = this.shouldClose;
+    if (shouldClose) {
+      debug("appending close packet to payload");
+      packets.push({ type: "close" });
+      this.shouldClose = null;
+    }
+
+    const self = this;
+    this.codec.encodePayload(packets, false, function(data) {
+      self.write(data);
+    });
+
+    // the response is ended once the close packet is written
+    if (shouldClose) shouldClose();
+  }
+
+  /**
+   * Writes a frame, then recycles the response if its budget is exhausted.
+   *
+   * @param {String} payload
+   * @api private
+   */
+  write(data) {
+    debug('writing "%s"', data);
+    const self = this;
+    const frame = data.length + "\n" + data;
+    this.written += Buffer.byteLength(frame);
+    this.res.write(frame, function(err) {
+      if (err) return self.onError("write error", err.stack);
+      if (!self.res) return;
+      if (self.written >= self.maxBytes) {
+        self.recycle();
+        return;
+      }
+      self.writable = true;
+      // a close was requested during the write
+      if (self.shouldClose) return self.send([{ type: "noop" }]);
+      self.emit("drain");
+    });
+  }
+
+  /**
+   * Ends the current response, the client opens a new one.
+   *
+   * @api private
+   */
+  recycle() {
+    if (!this.res) return;
+    debug("recycling streaming response");
+    const res = this.res;
+    this.req.cleanup();
+    res.end();
+  }
+
+  /**
+   * Closes the transport.
+   *
+   * @api private
+   */
+  doClose(fn) {
+    debug("closing");
+
+    this.abortDataRequest();
+
+    if (this.writable && !this.discarded) {
+      debug("transport writable - closing right away");
+      this.send([{ type: "close" }]);
+      fn();
+      this.onClose();
+      return;
+    }
+
+    if (this.discarded) {
+      fn();
+      this.onClose();
+      return;
+    }
+
+    // 等待客户端重新发起请求时再发送close包
+    const self = this;
+    const closeTimeoutTimer = setTimeout(onClose, this.closeTimeout);
+    this.shouldClose = onClose;
+
+    function onClose() {
+      clearTimeout(closeTimeoutTimer);
+      fn();
+      self.onClose();
+    }
+  }
+
+  /**
+   * Overrides onClose to end the response.
+   *
+   * @api private
+   */
+  onClose() {
+    this.recycle();
+    super.onClose();
+  }
+}
+
+module.exports = XHRStreaming;
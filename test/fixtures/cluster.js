@@ -0,0 +1,35 @@
+var cluster = require("cluster");
+var http = require("http");
+var eio = require("../..");
+
+// shared session directory
+var dir = process.argv[2];
+
+if (cluster.isMaster) {
+  eio.cluster.setupPrimary();
+  cluster.fork();
+  cluster.fork();
+
+  var listening = 0;
+  cluster.on("listening", function(worker, address) {
+    if (++listening === 2) console.log(address.port);
+  });
+
+  process.on("SIGTERM", function() {
+    for (var id in cluster.workers) cluster.workers[id].kill();
+    process.exit();
+  });
+} else {
+  var server = http.createServer();
+  var engine = eio.attach(server, {
+    allowUpgrades: false,
+    store: new eio.FileStore(dir)
+  });
+  eio.cluster.attach(engine);
+  engine.on("connection", function(socket) {
+    socket.on("message", function(msg) {
+      socket.send(msg + " " + process.pid);
+    });
+  });
+  server.listen(0);
+}
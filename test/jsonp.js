@@ -254,4 +254,185 @@ describe("JSONP", function() {
       );
     });
   });
+
+  describe("options", function() {
+    function get(port, query, fn) {
+      request
+        .get("http://localhost:%d/engine.io/default/".s(port))
+        .query(Object.assign({ transport: "polling" }, query))
+        .buffer(true)
+        .parse(function(res, callback) {
+          var text = "";
+          res.setEncoding("utf8");
+          res.on("data", function(chunk) {
+            text += chunk;
+          });
+          res.on("end", function() {
+            callback(null, text);
+          });
+        })
+        .end(fn);
+    }
+
+    function sidOf(res) {
+      return /"sid":"([^"]+)"/.exec(JSON.parse(res.body.slice(10, -2)))[1];
+    }
+
+    it("should disable JSONP", function(done) {
+      listen({ jsonp: false }, function(port) {
+        get(port, { j: "0" }, function(err, res) {
+          expect(res.status).to.be(400);
+          get(port, {}, function(err) {
+            expect(err).to.be(null);
+            done();
+          });
+        });
+      });
+    });
+
+    it("should serve JavaScript in strict mode", function(done) {
+      listen({ jsonp: "strict" }, function(port) {
+        get(port, { j: "0" }, function(err, res) {
+          expect(err).to.be(null);
+          expect(res.headers["content-type"]).to.be(
+            "application/javascript; charset=UTF-8"
+          );
+          expect(res.headers["x-content-type-options"]).to.be("nosniff");
+          expect(res.body.slice(0, 10)).to.be("___eio[0](");
+          done();
+        });
+      });
+    });
+
+    it("should check the callback index in strict mode", function(done) {
+      listen({ jsonp: "strict" }, function(port) {
+        var indexes = ["abc", "01", "10000", "-1", "1e3", ""];
+        var pending = indexes.length;
+        indexes.forEach(function(index) {
+          get(port, { j: index }, function(err, res) {
+            expect([index, res.status]).to.eql([index, 400]);
+            if (--pending) return;
+            get(port, { j: "9999" }, function(err, res) {
+              expect(err).to.be(null);
+              expect(res.body.slice(0, 13)).to.be("___eio[9999](");
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it("should strip the callback index by default", function(done) {
+      listen(function(port) {
+        get(port, { j: "1a" }, function(err, res) {
+          expect(err).to.be(null);
+          expect(res.body.slice(0, 10)).to.be("___eio[1](");
+          done();
+        });
+      });
+    });
+
+    it("should only accept form posts in strict mode", function(done) {
+      var engine = listen({ jsonp: "strict" }, function(port) {
+        get(port, { j: "0" }, function(err, res) {
+          var sid = sidOf(res);
+          engine.clients[sid].on("message", function(msg) {
+            expect(msg).to.be("a");
+            done();
+          });
+          var url = "http://localhost:%d/engine.io/default/".s(port);
+          var query = { transport: "polling", j: "0", sid: sid };
+          request
+            .post(url)
+            .query(query)
+            .type("text/plain")
+            .send("d=2:4b")
+            .end(function(err, res) {
+              expect(res.status).to.be(400);
+              expect(res.headers["x-content-type-options"]).to.be("nosniff");
+              request
+                .post(url)
+                .query(query)
+                .type("form")
+                .send({ d: "2:4a" })
+                .end(function(err, res) {
+                  expect(err).to.be(null);
+                  expect(res.text).to.be("ok");
+                });
+            });
+        });
+      });
+    });
+
+    function fuzz(opts, done) {
+      // escaping of engine.io-client
+      function escape(data) {
+        return data.replace(/\\n/g, "\\\n").replace(/\n/g, "\\n");
+      }
+
+      // deterministic pseudo-random generator
+      var seed = 42;
+      function random(n) {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return seed % n;
+      }
+
+      var tokens = ["a", "n", "\\", "\n", "\r", "\\n", "\\\\n", "\\\n", "é"];
+      function randomMessage() {
+        var message = "";
+        var length = 1 + random(12);
+        for (var i = 0; i < length; i++)
+          message += tokens[random(tokens.length)];
+        return message;
+      }
+
+      var engine = listen(opts, function(port) {
+        get(port, { j: "0" }, function(err, res) {
+          var sid = sidOf(res);
+          var expected = [];
+          var received = [];
+          engine.clients[sid].on("message", function(msg) {
+            received.push(msg);
+          });
+
+          var rounds = 10;
+          (function post() {
+            if (!rounds--) {
+              expect(received).to.eql(expected);
+              done();
+              return;
+            }
+            var payload = "";
+            for (var i = 0; i < 20; i++) {
+              var message = randomMessage();
+              // a backslash before a newline is escaped like "\\n" by the
+              // client, which cannot be told apart
+              expected.push(message.replace(/\\\n/g, "\\n"));
+              payload += message.length + 1 + ":4" + message;
+            }
+            request
+              .post("http://localhost:%d/engine.io/default/".s(port))
+              .query({ transport: "polling", j: "0", sid: sid })
+              .type("form")
+              .send({ d: escape(payload) })
+              .end(function(err, res) {
+                expect(err).to.be(null);
+                expect(res.text).to.be("ok");
+                post();
+              });
+          })();
+        });
+      });
+    }
+
+    it("should unescape the newlines of random messages", function(done) {
+      this.timeout(10000);
+      fuzz({}, done);
+    });
+
+    it("should unescape the newlines of random messages in strict mode", function(done) {
+      this.timeout(10000);
+      fuzz({ jsonp: "strict" }, done);
+    });
+  });
 });
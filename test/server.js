@@ -8,6 +8,7 @@ var http = require("http");
 var https = require("https");
 var fs = require("fs");
 var path = require("path");
+var crypto = require("crypto");
 var exec = require("child_process").exec;
 var zlib = require("zlib");
 var eio = require("..");
@@ -16,6 +17,7 @@ var listen = require("./common").listen;
 var expect = require("expect.js");
 var request = require("superagent");
 var cookieMod = require("cookie");
+var WebSocket = require("ws");
 
 // are we running uws wsEngine ?
 var UWS_ENGINE = process.env.EIO_WS_ENGINE === "uws";
@@ -3076,4 +3078,3703 @@ describe("server", function() {
       });
     });
   });
+
+  describe("resume", function() {
+    function dropPoll(port, sid) {
+      var req = poll(port, { sid: sid }, function() {});
+      setTimeout(function() {
+        req.abort();
+      }, 50);
+    }
+
+    it("should close the socket upon transport loss by default", function(done) {
+      var engine = listen({ allowUpgrades: false }, function(port) {
+        engine.on("connection", function(socket) {
+          socket.on("close", function(reason) {
+            expect(reason).to.be("transport error");
+            expect(engine.clientsCount).to.be(0);
+            done();
+          });
+        });
+        handshake(port, function(sid) {
+          dropPoll(port, sid);
+        });
+      });
+    });
+
+    it("should keep the session and replay missed packets", function(done) {
+      var engine = listen(
+        { allowUpgrades: false, resumeTimeout: 500 },
+        function(port) {
+          engine.on("connection", function(socket) {
+            socket.send("a");
+            socket.on("disconnect", function(reason) {
+              expect(reason).to.be("transport error");
+              expect(socket.readyState).to.be("disconnected");
+              expect(engine.clientsCount).to.be(1);
+              socket.send("b");
+              socket.send("c");
+              poll(port, { sid: socket.id, offset: 0 }, function(packets) {
+                expect(packets.map(p => p.data)).to.eql(["a", "b", "c"]);
+                socket.close();
+                done();
+              });
+            });
+            socket.on("resume", function(transport) {
+              expect(transport.name).to.be("polling");
+              expect(socket.readyState).to.be("open");
+            });
+          });
+          handshake(port, function(sid) {
+            poll(port, { sid: sid }, function(packets) {
+              expect(packets[0].data).to.be("a");
+              dropPoll(port, sid);
+            });
+          });
+        }
+      );
+    });
+
+    it("should not send a close packet to the pending poll", function(done) {
+      var engine = listen(
+        { allowUpgrades: false, resumeTimeout: 500 },
+        function(port) {
+          engine.on("connection", function(socket) {
+            socket.on("close", function() {
+              done(new Error("should not happen"));
+            });
+            socket.on("resume", function() {
+              socket.send("resumed");
+            });
+          });
+          handshake(port, function(sid) {
+            poll(port, { sid: sid }, function(packets) {
+              expect(packets.map(p => p.type)).to.eql(["noop"]);
+              var socket = engine.clients[sid];
+              expect(socket.readyState).to.be("disconnected");
+              poll(port, { sid: sid, offset: 0 }, function(packets) {
+                expect(packets.map(p => p.data)).to.eql(["resumed"]);
+                socket.removeAllListeners("close");
+                socket.close();
+                done();
+              });
+            });
+            // the transport is lost while the poll is pending
+            var req = http.request({
+              port: port,
+              method: "POST",
+              path: "/engine.io/default/?transport=polling&sid=" + sid,
+              headers: { "Content-Length": 10 }
+            });
+            req.on("error", function() {});
+            req.write("4:");
+            setTimeout(function() {
+              req.abort();
+            }, 50);
+          });
+        }
+      );
+    });
+
+    it("should not replay packets already received by the client", function(done) {
+      var engine = listen(
+        { allowUpgrades: false, resumeTimeout: 500 },
+        function(port) {
+          engine.on("connection", function(socket) {
+            socket.send("a");
+            socket.on("disconnect", function() {
+              socket.send("b");
+              poll(port, { sid: socket.id, offset: 1 }, function(packets) {
+                expect(packets.map(p => p.data)).to.eql(["b"]);
+                socket.close();
+                done();
+              });
+            });
+          });
+          handshake(port, function(sid) {
+            poll(port, { sid: sid }, function() {
+              dropPoll(port, sid);
+            });
+          });
+        }
+      );
+    });
+
+    it("should close the socket when the client does not resume in time", function(done) {
+      var engine = listen(
+        { allowUpgrades: false, resumeTimeout: 100 },
+        function(port) {
+          engine.on("connection", function(socket) {
+            var disconnected = false;
+            socket.on("disconnect", function() {
+              disconnected = true;
+            });
+            socket.on("close", function(reason) {
+              expect(disconnected).to.be(true);
+              expect(reason).to.be("transport error");
+              expect(engine.clientsCount).to.be(0);
+              done();
+            });
+          });
+          handshake(port, function(sid) {
+            dropPoll(port, sid);
+          });
+        }
+      );
+    });
+
+    it("should close the socket when the client closes on purpose", function(done) {
+      var engine = listen({ resumeTimeout: 500 }, function(port) {
+        var client = eioc("ws://localhost:%d".s(port), {
+          transports: ["websocket"]
+        });
+        engine.on("connection", function(socket) {
+          socket.on("disconnect", function() {
+            done(new Error("should not happen"));
+          });
+          socket.on("close", function(reason) {
+            expect(reason).to.be("transport close");
+            done();
+          });
+        });
+        client.on("open", function() {
+          client.close();
+        });
+      });
+    });
+
+    it("should resume a polling session over websocket", function(done) {
+      var engine = listen({ resumeTimeout: 500 }, function(port) {
+        engine.on("connection", function(socket) {
+          socket.on("disconnect", function() {
+            socket.send("missed");
+            var ws = new (require("ws"))(
+              "ws://localhost:%d/engine.io/?transport=websocket&sid=%s&offset=0".s(
+                port,
+                socket.id
+              )
+            );
+            ws.on("message", function(data) {
+              expect(data).to.be("4missed");
+              expect(socket.transport.name).to.be("websocket");
+              ws.close();
+              done();
+            });
+          });
+        });
+        handshake(port, function(sid) {
+          dropPoll(port, sid);
+        });
+      });
+    });
+
+    it("should resume with the codec of the handshake", function(done) {
+      var cbor = eio.codecs.cbor;
+      var opts = { resumeTimeout: 500, codecs: [cbor] };
+      var engine = listen(opts, function(port) {
+        var ws = new WebSocket(
+          "ws://localhost:%d/engine.io/default/?transport=websocket&codec=cbor".s(
+            port
+          )
+        );
+        ws.once("message", function() {
+          ws.terminate();
+        });
+        engine.on("connection", function(socket) {
+          socket.on("disconnect", function() {
+            socket.send("missed");
+            // the codec is not repeated by the resume request
+            var ws = new WebSocket(
+              "ws://localhost:%d/engine.io/default/?transport=websocket&sid=%s&offset=0".s(
+                port,
+                socket.id
+              )
+            );
+            ws.on("message", function(data) {
+              expect(socket.transport.codec).to.be(cbor);
+              expect(cbor.decodePacket(data)).to.eql({
+                type: "message",
+                data: "missed"
+              });
+              ws.close();
+              done();
+            });
+          });
+        });
+      });
+    });
+  });
+
+  describe("sse", function() {
+    function openStream(port, onEvent) {
+      return http.get(
+        {
+          port: port,
+          path: "/engine.io/default/?transport=sse"
+        },
+        function(res) {
+          expect(res.statusCode).to.be(200);
+          expect(res.headers["content-type"]).to.be(
+            "text/event-stream; charset=UTF-8"
+          );
+          var buffer = "";
+          res.setEncoding("utf8");
+          res.on("data", function(chunk) {
+            buffer += chunk;
+            var index;
+            while (~(index = buffer.indexOf("\n\n"))) {
+              var data = buffer
+                .slice(0, index)
+                .split("\n")
+                .map(line => line.replace(/^data: /, ""))
+                .join("\n");
+              buffer = buffer.slice(index + 2);
+              onEvent(eio.parser.decodePacket(data), res);
+            }
+          });
+        }
+      );
+    }
+
+    it("should handshake and push packets as events", function(done) {
+      var engine = listen(function(port) {
+        engine.on("connection", function(socket) {
+          expect(socket.transport.name).to.be("sse");
+          socket.send("hello\nworld");
+        });
+        var packets = [];
+        var req = openStream(port, function(packet) {
+          packets.push(packet);
+          if (packets.length < 2) return;
+          expect(packets[0].type).to.be("open");
+          var data = JSON.parse(packets[0].data);
+          expect(data.upgrades).to.eql(["websocket"]);
+          expect(packets[1]).to.eql({ type: "message", data: "hello\nworld" });
+          req.abort();
+          done();
+        });
+      });
+    });
+
+    it("should receive packets sent by POST", function(done) {
+      var engine = listen(function(port) {
+        engine.on("connection", function(socket) {
+          socket.on("message", function(msg) {
+            expect(msg).to.be("hi");
+            socket.close();
+          });
+          socket.on("close", function(reason) {
+            expect(reason).to.be("forced close");
+            done();
+          });
+        });
+        openStream(port, function(packet) {
+          if ("open" !== packet.type) return;
+          request
+            .post("http://localhost:%d/engine.io/default/".s(port))
+            .query({ transport: "sse", sid: JSON.parse(packet.data).sid })
+            .send("3:4hi")
+            .end(function(err, res) {
+              expect(err).to.be(null);
+              expect(res.text).to.be("ok");
+            });
+        });
+      });
+    });
+
+    it("should end the stream with a close packet", function(done) {
+      var engine = listen(function(port) {
+        engine.on("connection", function(socket) {
+          socket.close();
+        });
+        openStream(port, function(packet, res) {
+          if ("close" !== packet.type) return;
+          res.on("end", done);
+          res.resume();
+        });
+      });
+    });
+
+    it("should close the socket when the stream is dropped", function(done) {
+      var engine = listen(function(port) {
+        engine.on("connection", function(socket) {
+          socket.on("close", function(reason) {
+            expect(reason).to.be("transport error");
+            done();
+          });
+        });
+        var req = openStream(port, function() {
+          req.abort();
+        });
+      });
+    });
+
+    it("should upgrade to websocket", function(done) {
+      var engine = listen(function(port) {
+        engine.on("connection", function(socket) {
+          socket.on("upgrade", function(transport) {
+            expect(transport.name).to.be("websocket");
+            socket.send("upgraded");
+          });
+        });
+        openStream(port, function(packet) {
+          if ("open" !== packet.type) return;
+          var ws = new (require("ws"))(
+            "ws://localhost:%d/engine.io/?transport=websocket&sid=%s".s(
+              port,
+              JSON.parse(packet.data).sid
+            )
+          );
+          ws.on("open", function() {
+            ws.send("2probe");
+          });
+          ws.on("message", function(data) {
+            if ("3probe" === data) return ws.send("5");
+            expect(data).to.be("4upgraded");
+            ws.close();
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  describe("sendRequest", function() {
+    it("should resolve with the reply of the peer", function(done) {
+      var engine = listen({ allowUpgrades: false }, function(port) {
+        var client = eioc("ws://localhost:%d".s(port));
+        client.on("message", function(msg) {
+          expect(msg).to.be("\u001eq0:ping?");
+          client.send("\u001er0:pong");
+        });
+        engine.on("connection", function(socket) {
+          socket.on("message", function() {
+            done(new Error("should not happen"));
+          });
+          socket.sendRequest("ping?").then(function(data) {
+            expect(data).to.be("pong");
+            client.close();
+            done();
+          });
+        });
+      });
+    });
+
+    it("should reject upon timeout", function(done) {
+      var engine = listen({ allowUpgrades: false }, function(port) {
+        var client = eioc("ws://localhost:%d".s(port));
+        engine.on("connection", function(socket) {
+          socket.sendRequest("ping?", { timeout: 50 }).catch(function(err) {
+            expect(err.message).to.be("request timeout");
+            expect(socket.acks).to.eql({});
+            client.close();
+            done();
+          });
+        });
+      });
+    });
+
+    it("should reject pending requests upon close", function(done) {
+      var engine = listen({ allowUpgrades: false }, function(port) {
+        var client = eioc("ws://localhost:%d".s(port));
+        engine.on("connection", function(socket) {
+          socket.sendRequest("ping?").catch(function(err) {
+            expect(err.message).to.be("socket closed (transport close)");
+            done();
+          });
+        });
+        client.on("open", function() {
+          client.close();
+        });
+      });
+    });
+
+    it("should reject non-string data", function(done) {
+      var engine = listen({ allowUpgrades: false }, function(port) {
+        var client = eioc("ws://localhost:%d".s(port));
+        engine.on("connection", function(socket) {
+          socket.sendRequest(Buffer.from([1, 2])).catch(function(err) {
+            expect(err).to.be.a(TypeError);
+            client.close();
+            done();
+          });
+        });
+      });
+    });
+
+    it("should emit requests from the peer and send the reply", function(done) {
+      var engine = listen({ allowUpgrades: false }, function(port) {
+        var client = eioc("ws://localhost:%d".s(port));
+        client.on("open", function() {
+          client.send("\u001eq7:ping?");
+          client.send("not a request");
+        });
+        client.on("message", function(msg) {
+          expect(msg).to.be("\u001er7:pong");
+          client.close();
+          done();
+        });
+        engine.on("connection", function(socket) {
+          var messages = [];
+          socket.on("message", function(msg) {
+            messages.push(msg);
+          });
+          socket.on("request", function(data, reply) {
+            expect(data).to.be("ping?");
+            expect(messages).to.eql([]);
+            reply("pong");
+            reply("twice");
+          });
+        });
+      });
+    });
+
+    it("should pass unknown replies and unhandled requests as messages", function(done) {
+      var engine = listen({ allowUpgrades: false }, function(port) {
+        var client = eioc("ws://localhost:%d".s(port));
+        client.on("message", function(msg) {
+          expect(msg).to.be("\u001eq0:ping?");
+          client.send("\u001er5:not pending");
+          client.send("\u001er00:not canonical");
+          client.send("\u001eq1:no request listener");
+          client.send("\u001er0:pong");
+        });
+        engine.on("connection", function(socket) {
+          var messages = [];
+          socket.on("message", function(msg) {
+            messages.push(msg);
+          });
+          socket.sendRequest("ping?").then(function(data) {
+            expect(data).to.be("pong");
+            expect(messages).to.eql([
+              "\u001er5:not pending",
+              "\u001er00:not canonical",
+              "\u001eq1:no request listener"
+            ]);
+            client.close();
+            done();
+          });
+        });
+      });
+    });
+  });
+  describe("write buffer limits", function() {
+    it("should drop the oldest messages", function(done) {
+      var opts = {
+        allowUpgrades: false,
+        maxBufferedPackets: 2,
+        bufferOverflow: "drop-oldest"
+      };
+      var engine = listen(opts, function(port) {
+        engine.on("connection", function(socket) {
+          var dropped = [];
+          socket.on("overflow", function(packets) {
+            dropped = dropped.concat(packets.map(p => p.data));
+          });
+          expect(socket.send("a")).to.be(true);
+          expect(socket.send("b")).to.be(false);
+          expect(socket.send("c")).to.be(false);
+          expect(socket.send("d")).to.be(false);
+          expect(dropped).to.eql(["a", "b"]);
+          poll(port, { sid: socket.id }, function(packets) {
+            expect(packets.map(p => p.data)).to.eql(["c", "d"]);
+            socket.close();
+            done();
+          });
+        });
+        handshake(port, function() {});
+      });
+    });
+
+    it("should drop the newest messages and their callbacks", function(done) {
+      var opts = {
+        allowUpgrades: false,
+        maxBufferedPackets: 2,
+        bufferOverflow: "drop-newest"
+      };
+      var engine = listen(opts, function(port) {
+        engine.on("connection", function(socket) {
+          var sent = [];
+          socket.send("a", function() {
+            sent.push("a");
+          });
+          socket.send("b");
+          socket.send("c", function() {
+            sent.push("c");
+          });
+          expect(socket.writeBuffer.length).to.be(2);
+          expect(socket.packetsFn.length).to.be(1);
+          poll(port, { sid: socket.id }, function(packets) {
+            expect(packets.map(p => p.data)).to.eql(["a", "b"]);
+            expect(sent).to.eql(["a"]);
+            socket.close();
+            done();
+          });
+        });
+        handshake(port, function() {});
+      });
+    });
+
+    it("should keep the callbacks upon overflow of replayed packets", function(done) {
+      var opts = {
+        allowUpgrades: false,
+        resumeTimeout: 500,
+        maxBufferedPackets: 2,
+        bufferOverflow: "drop-oldest"
+      };
+      var engine = listen(opts, function(port) {
+        engine.on("connection", function(socket) {
+          var fnB = function() {};
+          var fnC = function() {};
+          socket.send("a", function() {});
+          socket.on("disconnect", function() {
+            socket.send("b", fnB);
+            poll(port, { sid: socket.id, offset: 0 }, function(packets) {
+              expect(packets.map(p => p.data)).to.eql(["b", "c"]);
+              socket.close();
+              done();
+            });
+          });
+          socket.on("resume", function() {
+            // the replayed "a" is dropped, its callback was already taken
+            socket.send("c", fnC);
+            expect(socket.packetsFn).to.eql([fnB, fnC]);
+          });
+        });
+        handshake(port, function(sid) {
+          poll(port, { sid: sid }, function() {
+            var req = poll(port, { sid: sid }, function() {});
+            setTimeout(function() {
+              req.abort();
+            }, 50);
+          });
+        });
+      });
+    });
+
+    it("should close the socket upon overflow", function(done) {
+      var engine = listen({ maxBufferedBytes: 5 }, function(port) {
+        engine.on("connection", function(socket) {
+          socket.on("close", function(reason) {
+            expect(reason).to.be("buffer overflow");
+            done();
+          });
+          socket.send("abc");
+          expect(socket.bufferedAmount).to.be(3);
+          socket.send("def");
+        });
+        handshake(port, function() {});
+      });
+    });
+
+    it("should emit drain once writable again", function(done) {
+      var engine = listen(
+        { allowUpgrades: false, maxBufferedBytes: 3 },
+        function(port) {
+          engine.on("connection", function(socket) {
+            expect(socket.send("abc")).to.be(false);
+            expect(socket.writable).to.be(false);
+            socket.once("drain", function() {
+              expect(socket.writable).to.be(true);
+              expect(socket.bufferedAmount).to.be(0);
+              socket.close();
+              done();
+            });
+            poll(port, { sid: socket.id }, function() {});
+          });
+          handshake(port, function() {});
+        }
+      );
+    });
+
+    it("should not limit the buffer by default", function(done) {
+      var engine = listen({ allowUpgrades: false }, function(port) {
+        engine.on("connection", function(socket) {
+          for (var i = 0; i < 1000; i++) {
+            expect(socket.send("a")).to.be(true);
+          }
+          expect(socket.writeBuffer.length).to.be(1000);
+          socket.close();
+          done();
+        });
+        handshake(port, function() {});
+      });
+    });
+  });
+  describe("session store", function() {
+    var os = require("os");
+    var spawn = require("child_process").spawn;
+    var child;
+
+    afterEach(function() {
+      // the cluster fixture kills its workers upon SIGTERM
+      if (child) child.kill();
+      child = null;
+    });
+
+    function tmpDir() {
+      return fs.mkdtempSync(path.join(os.tmpdir(), "eio-"));
+    }
+
+    it("should store and delete sessions in a FileStore", function(done) {
+      var store = new eio.FileStore(tmpDir());
+      store
+        .set("a/../b", { nodeId: "1" })
+        .then(function() {
+          return store.get("a/../b");
+        })
+        .then(function(session) {
+          expect(session).to.eql({ nodeId: "1" });
+          expect(fs.readdirSync(store.dir)).to.eql(["a%2F..%2Fb.json"]);
+          return store.delete("a/../b");
+        })
+        .then(function() {
+          return store.get("a/../b");
+        })
+        .then(function(session) {
+          expect(session).to.be(null);
+          done();
+        })
+        .catch(done);
+    });
+
+    it("should register the sessions of the process", function(done) {
+      var engine = listen({ allowUpgrades: false }, function(port) {
+        engine.on("connection", function(socket) {
+          engine.store.get(socket.id).then(function(session) {
+            expect(session).to.eql({
+              nodeId: String(process.pid),
+              transport: "polling"
+            });
+            socket.on("close", function() {
+              setTimeout(function() {
+                expect(engine.store.sessions).to.eql({});
+                done();
+              }, 10);
+            });
+            socket.close();
+            poll(port, { sid: socket.id }, function() {});
+          });
+        });
+        handshake(port, function() {});
+      });
+    });
+
+    it("should forward requests for sessions owned by another node", function(done) {
+      var store = new eio.MemoryStore();
+      var opts = {
+        store: store,
+        forwardRequest: function(req, res, nodeId) {
+          expect(nodeId).to.be("other");
+          expect(req._query.sid).to.be("foreign");
+          res.writeHead(200);
+          res.end("forwarded");
+        }
+      };
+      listen(opts, function(port) {
+        store.set("foreign", { nodeId: "other" }).then(function() {
+          request
+            .get("http://localhost:%d/engine.io/default/".s(port))
+            .query({ transport: "polling", sid: "foreign" })
+            .buffer(true)
+            .end(function(err, res) {
+              expect(err).to.be(null);
+              expect(res.text).to.be("forwarded");
+              done();
+            });
+        });
+      });
+    });
+
+    it("should only forward polling requests", function(done) {
+      var store = new eio.MemoryStore();
+      var opts = {
+        store: store,
+        forwardRequest: function() {
+          done(new Error("should not happen"));
+        }
+      };
+      listen(opts, function(port) {
+        store.set("foreign", { nodeId: "other" }).then(function() {
+          request
+            .get("http://localhost:%d/engine.io/default/".s(port))
+            .query({ transport: "sse", sid: "foreign" })
+            .end(function(err, res) {
+              expect(err).to.be.an(Error);
+              expect(res.status).to.be(400);
+              expect(res.body.code).to.be(1);
+              done();
+            });
+        });
+      });
+    });
+
+    it("should store the session before answering the handshake", function(done) {
+      var store = new eio.MemoryStore();
+      var set = store.set;
+      var stored = false;
+      store.set = function() {
+        var args = arguments;
+        return new Promise(function(resolve) {
+          setTimeout(resolve, 50);
+        }).then(function() {
+          stored = true;
+          return set.apply(store, args);
+        });
+      };
+      listen({ store: store }, function(port) {
+        handshake(port, function(sid) {
+          expect(stored).to.be(true);
+          done();
+        });
+      });
+    });
+
+    it("should reject sids unknown to the store", function(done) {
+      var opts = {
+        forwardRequest: function() {
+          done(new Error("should not happen"));
+        }
+      };
+      listen(opts, function(port) {
+        request
+          .get("http://localhost:%d/engine.io/default/".s(port))
+          .query({ transport: "polling", sid: "unknown" })
+          .end(function(err, res) {
+            expect(err).to.be.an(Error);
+            expect(res.body.code).to.be(1);
+            done();
+          });
+      });
+    });
+
+    it("should share sessions between cluster workers", function(done) {
+      this.timeout(10000);
+      child = spawn(process.execPath, [
+        path.join(__dirname, "fixtures", "cluster.js"),
+        tmpDir()
+      ]);
+      child.stdout.once("data", function(data) {
+        var port = Number(String(data).trim());
+        var owner;
+        var replies = 0;
+
+        function roundTrip(sid, msg) {
+          request
+            .post("http://localhost:%d/engine.io/default/".s(port))
+            .query({ transport: "polling", sid: sid })
+            .send("%d:4%s".s(msg.length + 1, msg))
+            .end(function(err, res) {
+              expect(err).to.be(null);
+              expect(res.text).to.be("ok");
+              poll(port, { sid: sid }, function(packets) {
+                var reply = packets[0].data.split(" ");
+                expect(reply[0]).to.be(msg);
+                // always answered by the same worker
+                owner = owner || reply[1];
+                expect(reply[1]).to.be(owner);
+                if (++replies < 4) return roundTrip(sid, msg + replies);
+                done();
+              });
+            });
+        }
+
+        handshake(port, function(sid) {
+          roundTrip(sid, "m");
+        });
+      });
+    });
+  });
+  describe("middlewares", function() {
+    it("should apply middlewares to polling requests", function(done) {
+      var engine = listen({ allowUpgrades: false }, function(port) {
+        var calls = 0;
+        engine.use(function(req, res, next) {
+          calls++;
+          req.user = "tobi";
+          res.setHeader("X-Custom", "1");
+          next();
+        });
+        engine.on("connection", function(socket) {
+          expect(socket.request.user).to.be("tobi");
+        });
+        request
+          .get("http://localhost:%d/engine.io/default/".s(port))
+          .query({ transport: "polling" })
+          .end(function(err, res) {
+            expect(err).to.be(null);
+            expect(res.header["x-custom"]).to.be("1");
+            expect(calls).to.be(1);
+            done();
+          });
+      });
+    });
+
+    it("should apply middlewares to upgrade requests", function(done) {
+      var engine = listen(function(port) {
+        engine
+          .use(function(req, res, next) {
+            req.order = ["first"];
+            next();
+          })
+          .use(function(req, res, next) {
+            setTimeout(function() {
+              req.order.push("second");
+              next();
+            }, 10);
+          });
+        engine.on("connection", function(socket) {
+          expect(socket.transport.name).to.be("websocket");
+          expect(socket.request.order).to.eql(["first", "second"]);
+          client.close();
+          done();
+        });
+        var client = eioc("ws://localhost:%d".s(port), {
+          transports: ["websocket"]
+        });
+      });
+    });
+
+    it("should reject polling requests with a custom status and body", function(done) {
+      var engine = listen(function(port) {
+        engine.use(function(req, res, next) {
+          var err = new Error("nope");
+          err.status = 401;
+          err.data = { reason: "missing credentials" };
+          next(err);
+        });
+        request
+          .get("http://localhost:%d/engine.io/default/".s(port))
+          .query({ transport: "polling" })
+          .end(function(err, res) {
+            expect(err).to.be.an(Error);
+            expect(res.status).to.be(401);
+            expect(res.body).to.eql({ reason: "missing credentials" });
+            expect(engine.clientsCount).to.be(0);
+            done();
+          });
+      });
+    });
+
+    it("should reject upgrade requests with a custom status and body", function(done) {
+      var engine = listen(function(port) {
+        engine.use(function(req, res, next) {
+          next(new Error("nope"));
+        });
+        var ws = new (require("ws"))(
+          "ws://localhost:%d/engine.io/?transport=websocket".s(port)
+        );
+        ws.on("unexpected-response", function(req, res) {
+          expect(res.statusCode).to.be(403);
+          var body = "";
+          res.on("data", function(chunk) {
+            body += chunk;
+          });
+          res.on("end", function() {
+            expect(JSON.parse(body)).to.eql({ code: 4, message: "nope" });
+            done();
+          });
+        });
+      });
+    });
+
+    it("should catch errors thrown by middlewares", function(done) {
+      var engine = listen(function(port) {
+        engine.use(function() {
+          throw new Error("oops");
+        });
+        request
+          .get("http://localhost:%d/engine.io/default/".s(port))
+          .query({ transport: "polling" })
+          .end(function(err, res) {
+            expect(res.status).to.be(403);
+            expect(res.body.message).to.be("oops");
+            done();
+          });
+      });
+    });
+
+    it("should not catch errors thrown after the middlewares", function() {
+      var engine = new eio.Server();
+      engine.use(function(req, res, next) {
+        next();
+      });
+      var errors = [];
+      expect(function() {
+        engine.applyMiddlewares({}, {}, function(err) {
+          if (err) return errors.push(err);
+          throw new Error("app error");
+        });
+      }).to.throwError(/app error/);
+      expect(errors).to.eql([]);
+    });
+  });
+  describe("metrics", function() {
+    it("should track sessions, upgrades and packets", function(done) {
+      var engine = listen({ metrics: true }, function(port) {
+        var socket = new eioc.Socket("ws://localhost:%d".s(port));
+        engine.on("connection", function(conn) {
+          conn.on("upgrade", function() {
+            conn.send("hello");
+          });
+          conn.on("message", function() {
+            var metrics = engine.metrics;
+            expect(metrics.handshakes).to.eql({ polling: 1 });
+            expect(metrics.sessions).to.eql({ polling: 0, websocket: 1 });
+            expect(metrics.upgrades).to.be(1);
+            // open packet and "hello"
+            expect(metrics.packetsSent).to.be(2);
+            expect(metrics.bytesSent).to.be.greaterThan(5);
+            expect(metrics.packetsReceived).to.be.greaterThan(0);
+            socket.close();
+            setTimeout(function() {
+              expect(metrics.sessions.websocket).to.be(0);
+              done();
+            }, 50);
+          });
+        });
+        socket.on("message", function(msg) {
+          socket.send(msg);
+        });
+      });
+    });
+
+    it("should track upgrade timeouts", function(done) {
+      var engine = listen({ metrics: true, upgradeTimeout: 100 }, function(
+        port
+      ) {
+        engine.on("connection", function(conn) {
+          conn.on("upgradeError", function(reason) {
+            expect(reason).to.be("upgrade timeout");
+            expect(engine.metrics.upgradeTimeouts).to.be(1);
+            socket.close();
+            done();
+          });
+        });
+        var socket = new eioc.Socket("ws://localhost:%d".s(port));
+        socket.on("upgrading", function(transport) {
+          // override not to complete upgrading
+          transport.send = function() {};
+        });
+      });
+    });
+
+    it("should track rejected requests", function(done) {
+      var engine = listen({ metrics: true }, function(port) {
+        engine.on("connectionError", function(err) {
+          expect(err.code).to.be(0);
+          expect(err.message).to.be("Transport unknown");
+          expect(err.req.url).to.contain("transport=tobi");
+          expect(engine.metrics.errors).to.eql({ 0: 1 });
+          done();
+        });
+        request
+          .get("http://localhost:%d/engine.io/default/".s(port))
+          .query({ transport: "tobi" })
+          .end(function() {});
+      });
+    });
+
+    it("should record the ping round-trip time", function(done) {
+      var opts = { metrics: true, pingInterval: 20, allowUpgrades: false };
+      var engine = listen(opts, function(port) {
+        var socket = new eioc.Socket("ws://localhost:%d".s(port));
+        engine.on("connection", function(conn) {
+          conn.once("heartbeat", function() {
+            expect(engine.metrics.rtt.count).to.be(1);
+            // cumulative buckets, up to 5 seconds
+            expect(engine.metrics.rtt.counts[9]).to.be(1);
+            expect(engine.metrics.rtt.sum).to.be(conn.rtt.last / 1000);
+            socket.close();
+            done();
+          });
+        });
+      });
+    });
+
+    it("should serve the metrics in the Prometheus text format", function(done) {
+      var engine = listen({ metrics: { path: "/metrics" } }, function(port) {
+        request
+          .get("http://localhost:%d/engine.io/default/".s(port))
+          .query({ transport: "tobi" })
+          .end(function() {
+            request
+              .get("http://localhost:%d/metrics".s(port))
+              .end(function(err, res) {
+                expect(err).to.be(null);
+                expect(res.header["content-type"]).to.be(
+                  "text/plain; version=0.0.4; charset=utf-8"
+                );
+                expect(res.text).to.contain(
+                  "# TYPE engineio_sessions_active gauge\n"
+                );
+                expect(res.text).to.contain(
+                  'engineio_errors_total{code="0"} 1\n'
+                );
+                expect(res.text).to.contain(
+                  'engineio_ping_rtt_seconds_bucket{le="+Inf"} 0\n'
+                );
+                expect(engine.metrics).to.be.ok();
+                done();
+              });
+          });
+      });
+    });
+
+    it("should be disabled by default", function(done) {
+      var engine = listen(function(port) {
+        expect(engine.metrics).to.be(undefined);
+        request
+          .get("http://localhost:%d/metrics".s(port))
+          .end(function(err, res) {
+            expect(res.status).to.be(501);
+            done();
+          });
+      });
+    });
+  });
+
+  describe("drain", function() {
+    it("should reject new handshakes", function(done) {
+      var engine = listen(function(port) {
+        engine.drain().then(function() {
+          request
+            .get("http://localhost:%d/engine.io/default/".s(port))
+            .query({ transport: "polling" })
+            .end(function(err, res) {
+              expect(err).to.be.an(Error);
+              expect(res.status).to.be(503);
+              expect(res.body.code).to.be(5);
+              expect(res.body.message).to.be("Server draining");
+              done();
+            });
+        });
+      });
+    });
+
+    it("should flush the buffered messages before closing", function(done) {
+      var engine = listen({ allowUpgrades: false }, function(port) {
+        var client = eioc("ws://localhost:%d".s(port));
+        var messages = [];
+        client.on("message", function(msg) {
+          messages.push(msg);
+        });
+        engine.on("connection", function(socket) {
+          socket.send("a");
+          socket.send("b");
+          engine.drain({ window: 20 }).then(function() {
+            expect(engine.clientsCount).to.be(0);
+            done();
+          });
+        });
+        client.on("close", function(reason) {
+          expect(messages).to.eql(["a", "b"]);
+          expect(reason).to.be("transport close");
+        });
+      });
+    });
+
+    it("should ask the clients to reconnect elsewhere", function(done) {
+      var engine = listen({ allowUpgrades: false }, function(port) {
+        var client = eioc("ws://localhost:%d".s(port));
+        engine.on("connection", function() {
+          engine.drain({ window: 0, reconnect: "http://other.example" });
+        });
+        client.on("message", function(msg) {
+          expect(msg).to.be("\u001ex:http://other.example");
+          done();
+        });
+      });
+    });
+
+    it("should force the close after the timeout", function(done) {
+      var engine = listen(function(port) {
+        // the client never polls again, so the close packet is never sent
+        handshake(port, function() {
+          var socket = engine.clients[Object.keys(engine.clients)[0]];
+          socket.on("close", function(reason) {
+            expect(reason).to.be("forced close");
+          });
+          engine.drain({ timeout: 100, window: 0 }).then(function() {
+            expect(engine.clientsCount).to.be(0);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  describe("latency", function() {
+    it("should measure the round-trip time of the heartbeat", function(done) {
+      var opts = { pingInterval: 20, allowUpgrades: false };
+      var engine = listen(opts, function(port) {
+        var client = eioc("ws://localhost:%d".s(port));
+        engine.on("connection", function(socket) {
+          expect(socket.rtt).to.eql({ last: null, min: null, avg: null });
+          socket.once("latency", function(rtt) {
+            expect(rtt).to.be.a("number");
+            expect(socket.rtt).to.eql({ last: rtt, min: rtt, avg: rtt });
+            socket.once("latency", function(rtt2) {
+              expect(socket.rtt.last).to.be(rtt2);
+              expect(socket.rtt.min).to.be(Math.min(rtt, rtt2));
+              expect(socket.rtt.avg).to.be(0.875 * rtt + 0.125 * rtt2);
+              client.close();
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it("should start the measure once the ping is polled", function(done) {
+      var engine = listen({ pingInterval: 20 }, function(port) {
+        handshake(port, function(sid) {
+          var socket = engine.clients[sid];
+          // the ping waits in the buffer for the next poll
+          setTimeout(function() {
+            expect(socket.writeBuffer[0].type).to.be("ping");
+            expect(socket.pingSentAt).to.be(null);
+            poll(port, { sid: sid }, function(packets) {
+              expect(packets[0].type).to.be("ping");
+              socket.on("latency", function(rtt) {
+                // measured from the poll, not from the ping timer
+                expect(rtt).to.be.lessThan(100);
+                socket.close();
+                done();
+              });
+              request
+                .post("http://localhost:%d/engine.io/default/".s(port))
+                .query({ transport: "polling", sid: sid })
+                .send("1:3")
+                .end(function() {});
+            });
+          }, 150);
+        });
+      });
+    });
+
+    it("should aggregate the round-trip time of the clients", function(done) {
+      var opts = { pingInterval: 20, allowUpgrades: false };
+      var engine = listen(opts, function(port) {
+        expect(engine.latency()).to.eql({
+          count: 0,
+          min: null,
+          max: null,
+          avg: null
+        });
+        var client = eioc("ws://localhost:%d".s(port));
+        engine.on("connection", function(socket) {
+          socket.once("latency", function(rtt) {
+            expect(engine.latency()).to.eql({
+              count: 1,
+              min: rtt,
+              max: rtt,
+              avg: rtt
+            });
+            client.close();
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  describe("broadcast", function() {
+    it("should send a message to all the clients", function(done) {
+      var engine = listen({ allowUpgrades: false }, function(port) {
+        var ws = eioc("ws://localhost:%d".s(port));
+        var polling = eioc("ws://localhost:%d".s(port), {
+          transports: ["polling"]
+        });
+        var received = 0;
+        function onMessage(msg) {
+          expect(msg).to.be("hello");
+          if (++received < 2) return;
+          ws.close();
+          polling.close();
+          done();
+        }
+        ws.on("message", onMessage);
+        polling.on("message", onMessage);
+        engine.on("connection", function() {
+          if (engine.clientsCount === 2) engine.broadcast("hello");
+        });
+      });
+    });
+
+    it("should skip the excluded clients", function(done) {
+      var engine = listen({ allowUpgrades: false }, function(port) {
+        var a = eioc("ws://localhost:%d".s(port), { query: { name: "a" } });
+        var b = eioc("ws://localhost:%d".s(port), { query: { name: "b" } });
+        var sockets = [];
+        a.on("message", function(msg) {
+          expect(msg).to.be("hello");
+          a.close();
+          b.close();
+          done();
+        });
+        b.on("message", function() {
+          done(new Error("should not happen"));
+        });
+        engine.on("connection", function(socket) {
+          sockets.push(socket);
+          if (sockets.length < 2) return;
+          var excluded = sockets.filter(function(socket) {
+            return "b" === socket.request._query.name;
+          })[0];
+          engine.broadcast("hello", { except: excluded });
+        });
+      });
+    });
+
+    it("should encode the message once", function(done) {
+      var engine = listen({ allowUpgrades: false }, function(port) {
+        var clients = [];
+        var received = 0;
+        var encodePacket = eio.parser.encodePacket;
+        var encoded = 0;
+        for (var i = 0; i < 3; i++) {
+          var client = eioc("ws://localhost:%d".s(port));
+          client.on("message", onMessage);
+          clients.push(client);
+        }
+        function onMessage() {
+          if (++received < 3) return;
+          eio.parser.encodePacket = encodePacket;
+          expect(encoded).to.be(1);
+          clients.forEach(function(client) {
+            client.close();
+          });
+          done();
+        }
+        engine.on("connection", function() {
+          if (engine.clientsCount < 3) return;
+          eio.parser.encodePacket = function(packet) {
+            if ("hello" === packet.data) encoded++;
+            return encodePacket.apply(this, arguments);
+          };
+          engine.broadcast("hello");
+        });
+      });
+    });
+
+    it("should send a message to the members of a group", function(done) {
+      var engine = listen({ allowUpgrades: false }, function(port) {
+        var a = eioc("ws://localhost:%d".s(port), { query: { name: "a" } });
+        var b = eioc("ws://localhost:%d".s(port), { query: { name: "b" } });
+        a.on("message", function(msg) {
+          expect(msg).to.be("hello");
+          a.close();
+          b.close();
+          done();
+        });
+        b.on("message", function() {
+          done(new Error("should not happen"));
+        });
+        engine.on("connection", function(socket) {
+          if ("a" === socket.request._query.name) socket.join("room");
+          if (engine.clientsCount < 2) return;
+          engine.to("room").send("hello");
+        });
+      });
+    });
+
+    it("should send once to the members of several groups", function(done) {
+      var engine = listen({ allowUpgrades: false }, function(port) {
+        var client = eioc("ws://localhost:%d".s(port));
+        var messages = [];
+        client.on("message", function(msg) {
+          messages.push(msg);
+          if ("end" !== msg) return;
+          expect(messages).to.eql(["hello", "end"]);
+          client.close();
+          done();
+        });
+        engine.on("connection", function(socket) {
+          socket.join("a").join("b");
+          engine
+            .to("a")
+            .to("b")
+            .send("hello");
+          socket.send("end");
+        });
+      });
+    });
+
+    it("should leave the groups", function(done) {
+      var engine = listen({ allowUpgrades: false }, function(port) {
+        var client = eioc("ws://localhost:%d".s(port));
+        engine.on("connection", function(socket) {
+          socket.join("a").join("b");
+          expect(engine.groups.get("a").has(socket)).to.be(true);
+          socket.leave("a");
+          expect(engine.groups.has("a")).to.be(false);
+          expect(Array.from(socket.groups)).to.eql(["b"]);
+          socket.on("close", function() {
+            expect(engine.groups.size).to.be(0);
+            expect(socket.groups.size).to.be(0);
+            done();
+          });
+        });
+        client.on("open", function() {
+          client.close();
+        });
+      });
+    });
+  });
+
+  describe("protocol v3", function() {
+    it("should reject v3 clients by default", function(done) {
+      listen(function(port) {
+        request
+          .get("http://localhost:%d/engine.io/default/".s(port))
+          .query({ transport: "polling", EIO: 3 })
+          .end(function(err, res) {
+            expect(err).to.be.an(Error);
+            expect(res.status).to.be(400);
+            expect(res.body.code).to.be(6);
+            expect(res.body.message).to.be("Unsupported protocol version");
+            done();
+          });
+      });
+    });
+
+    it("should reject unknown protocol versions", function(done) {
+      listen({ allowEIO3: true }, function(port) {
+        request
+          .get("http://localhost:%d/engine.io/default/".s(port))
+          .query({ transport: "polling", EIO: 5 })
+          .end(function(err, res) {
+            expect(err).to.be.an(Error);
+            expect(res.body.code).to.be(6);
+            done();
+          });
+      });
+    });
+
+    it("should answer the pings of the client (polling)", function(done) {
+      var opts = { allowEIO3: true, pingInterval: 50 };
+      var engine = listen(opts, function(port) {
+        poll(port, { EIO: 3 }, function(packets) {
+          var sid = JSON.parse(packets[0].data).sid;
+          var socket = engine.clients[sid];
+          expect(socket.protocolVersion).to.be(3);
+          // the server does not ping
+          setTimeout(function() {
+            expect(socket.writeBuffer).to.eql([]);
+            socket.on("heartbeat", function() {
+              poll(port, { EIO: 3, sid: sid }, function(packets) {
+                expect(packets).to.eql([{ type: "pong" }]);
+                socket.close();
+                done();
+              });
+            });
+            request
+              .post("http://localhost:%d/engine.io/default/".s(port))
+              .query({ transport: "polling", EIO: 3, sid: sid })
+              .send("1:2")
+              .end(function() {});
+          }, 100);
+        });
+      });
+    });
+
+    it("should answer the pings of the client (websocket)", function(done) {
+      var opts = { allowEIO3: true, pingInterval: 50 };
+      listen(opts, function(port) {
+        var ws = new WebSocket(
+          "ws://localhost:%d/engine.io/default/?EIO=3&transport=websocket".s(
+            port
+          )
+        );
+        var messages = [];
+        ws.on("message", function(data) {
+          messages.push(String(data));
+          if (1 === messages.length) {
+            expect(messages[0][0]).to.be("0");
+            setTimeout(function() {
+              ws.send("2");
+            }, 100);
+            return;
+          }
+          expect(messages[1]).to.be("3");
+          ws.close();
+          done();
+        });
+      });
+    });
+
+    it("should close v3 clients which do not ping", function(done) {
+      var opts = { allowEIO3: true, pingInterval: 20, pingTimeout: 20 };
+      var engine = listen(opts, function(port) {
+        handshakeV3(port, function(sid) {
+          engine.clients[sid].on("close", function(reason) {
+            expect(reason).to.be("ping timeout");
+            done();
+          });
+        });
+      });
+    });
+
+    it("should count the sessions by protocol version", function(done) {
+      var opts = { allowEIO3: true, metrics: true, allowUpgrades: false };
+      var engine = listen(opts, function(port) {
+        var client = eioc("ws://localhost:%d".s(port));
+        client.on("open", function() {
+          handshakeV3(port, function(sid) {
+            expect(engine.metrics.protocols).to.eql({ 3: 1, 4: 1 });
+            engine.clients[sid].close();
+            client.close();
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  describe("codecs", function() {
+    function binaryPoll(port, query, fn) {
+      request
+        .get("http://localhost:%d/engine.io/default/".s(port))
+        .query(Object.assign({ transport: "polling" }, query))
+        .buffer(true)
+        .parse(function(res, cb) {
+          var chunks = [];
+          res.on("data", function(chunk) {
+            chunks.push(chunk);
+          });
+          res.on("end", function() {
+            cb(null, Buffer.concat(chunks));
+          });
+        })
+        .end(function(err, res) {
+          expect(err).to.be(null);
+          expect(res.header["content-type"]).to.be("application/octet-stream");
+          fn(res.body);
+        });
+    }
+
+    it("should negotiate a codec over polling", function(done) {
+      var msgpack = eio.codecs.msgpack;
+      var engine = listen({ codecs: [msgpack] }, function(port) {
+        binaryPoll(port, { codec: "msgpack" }, function(body) {
+          var packets = [];
+          msgpack.decodePayload(body, function(packet) {
+            packets.push(packet);
+          });
+          expect(packets[0].type).to.be("open");
+          var handshake = JSON.parse(packets[0].data);
+          expect(handshake.codec).to.be("msgpack");
+
+          var socket = engine.clients[handshake.sid];
+          var messages = [];
+          socket.on("message", function(msg) {
+            messages.push(msg);
+            if (messages.length < 2) return;
+            expect(messages[0]).to.be("héllo");
+            expect(Buffer.isBuffer(messages[1])).to.be(true);
+            expect(Array.from(messages[1])).to.eql([1, 2, 3]);
+            socket.close();
+            done();
+          });
+
+          msgpack.encodePayload(
+            [
+              { type: "message", data: "héllo" },
+              { type: "message", data: Buffer.from([1, 2, 3]) }
+            ],
+            true,
+            function(payload) {
+              request
+                .post("http://localhost:%d/engine.io/default/".s(port))
+                .query({ transport: "polling", codec: "msgpack" })
+                .query({ sid: handshake.sid })
+                .set("Content-Type", "application/octet-stream")
+                .send(payload)
+                .end(function() {});
+            }
+          );
+        });
+      });
+    });
+
+    it("should negotiate a codec over websocket", function(done) {
+      var cbor = eio.codecs.cbor;
+      var engine = listen({ codecs: [cbor] }, function(port) {
+        var ws = new WebSocket(
+          "ws://localhost:%d/engine.io/default/?transport=websocket&codec=cbor".s(
+            port
+          )
+        );
+        engine.on("connection", function(socket) {
+          socket.on("message", function(msg) {
+            socket.send(msg);
+          });
+        });
+        var packets = [];
+        ws.on("message", function(data) {
+          expect(Buffer.isBuffer(data)).to.be(true);
+          packets.push(cbor.decodePacket(data));
+          if (1 === packets.length) {
+            expect(packets[0].type).to.be("open");
+            expect(JSON.parse(packets[0].data).codec).to.be("cbor");
+            cbor.encodePacket(
+              { type: "message", data: Buffer.from([4, 5]) },
+              true,
+              function(data) {
+                ws.send(data);
+              }
+            );
+            return;
+          }
+          expect(packets[1].type).to.be("message");
+          expect(Array.from(packets[1].data)).to.eql([4, 5]);
+          ws.close();
+          done();
+        });
+      });
+    });
+
+    it("should encode data of any length", function() {
+      ["msgpack", "cbor"].forEach(function(name) {
+        var codec = eio.codecs[name];
+        [0, 31, 255, 256, 65535, 65536].forEach(function(length) {
+          var packets = [
+            { type: "message", data: "a".repeat(length) },
+            { type: "message", data: Buffer.alloc(length, 1) },
+            { type: "ping" }
+          ];
+          codec.encodePayload(packets, true, function(payload) {
+            var decoded = [];
+            codec.decodePayload(payload, function(packet) {
+              decoded.push(packet);
+            });
+            expect(decoded.length).to.be(3);
+            expect(decoded[0].data).to.be(packets[0].data);
+            expect(decoded[1].data.equals(packets[1].data)).to.be(true);
+            expect(decoded[2]).to.eql({ type: "ping" });
+          });
+        });
+        expect(codec.decodePacket(Buffer.from([0xff]))).to.eql({
+          type: "error",
+          data: "parser error"
+        });
+      });
+    });
+
+    it("should not announce the default codec", function(done) {
+      listen({ codecs: [eio.codecs.msgpack] }, function(port) {
+        poll(port, {}, function(packets) {
+          expect(JSON.parse(packets[0].data).codec).to.be(undefined);
+          done();
+        });
+      });
+    });
+
+    it("should reject unknown codecs", function(done) {
+      listen({ codecs: [eio.codecs.msgpack] }, function(port) {
+        request
+          .get("http://localhost:%d/engine.io/default/".s(port))
+          .query({ transport: "polling", codec: "cbor" })
+          .end(function(err, res) {
+            expect(err).to.be.an(Error);
+            expect(res.status).to.be(400);
+            expect(res.body.code).to.be(3);
+            done();
+          });
+      });
+    });
+
+    it("should close websockets with an unknown codec", function(done) {
+      var engine = listen({ codecs: [eio.codecs.msgpack] }, function(port) {
+        var ws = new WebSocket(
+          "ws://localhost:%d/engine.io/default/?transport=websocket&codec=bogus".s(
+            port
+          )
+        );
+        var code;
+        engine.on("connectionError", function(err) {
+          code = err.code;
+        });
+        ws.on("close", function() {
+          expect(code).to.be(3);
+          expect(engine.clientsCount).to.be(0);
+          done();
+        });
+      });
+    });
+
+    it("should reject binary codecs over text only transports", function(done) {
+      listen({ codecs: [eio.codecs.msgpack] }, function(port) {
+        request
+          .get("http://localhost:%d/engine.io/default/".s(port))
+          .query({ transport: "polling", codec: "msgpack", j: 0 })
+          .end(function(err, res) {
+            expect(err).to.be.an(Error);
+            expect(res.body.code).to.be(3);
+            done();
+          });
+      });
+    });
+  });
+
+  describe("streams", function() {
+    function chunkFrame(id, seq, data) {
+      var header = Buffer.alloc(10);
+      header.write("\u001es", 0, "binary");
+      header.writeUInt32BE(id, 2);
+      header.writeUInt32BE(seq, 6);
+      return Buffer.concat([header, Buffer.from(data)]);
+    }
+
+    function sha1(data) {
+      return crypto
+        .createHash("sha1")
+        .update(data)
+        .digest("hex");
+    }
+
+    it("should send a stream in chunks", function(done) {
+      var opts = { allowUpgrades: false, streamChunkSize: 4 };
+      var engine = listen(opts, function(port) {
+        var client = eioc("ws://localhost:%d".s(port));
+        engine.on("connection", function(socket) {
+          var sent = [];
+          socket.on("packetCreate", function(packet) {
+            if ("message" === packet.type) sent.push(packet.data);
+          });
+          var stream = socket.createWriteStream({ name: "file.txt" });
+          stream.write("hello ");
+          socket.send("interleaved");
+          stream.end("world", function() {
+            expect(sent[0]).to.be('\u001esn0:{"name":"file.txt"}');
+            expect(sent[1].equals(chunkFrame(0, 0, "hell"))).to.be(true);
+            expect(sent[2].equals(chunkFrame(0, 1, "o "))).to.be(true);
+            expect(sent[3]).to.be("interleaved");
+            expect(sent[4].equals(chunkFrame(0, 2, "worl"))).to.be(true);
+            expect(sent[5].equals(chunkFrame(0, 3, "d"))).to.be(true);
+            expect(sent[6]).to.be("\u001ese0:4:11:" + sha1("hello world"));
+            client.close();
+            done();
+          });
+        });
+      });
+    });
+
+    it("should wait for the transport before writing more", function(done) {
+      var engine = listen({ streamChunkSize: 4 }, function(port) {
+        // base64 encoded binary data, to decode the payload as text
+        poll(port, { b64: 1 }, function(packets) {
+          var sid = JSON.parse(packets[0].data).sid;
+          var socket = engine.clients[sid];
+          var stream = socket.createWriteStream();
+          var written = false;
+          stream.write("hello", function() {
+            written = true;
+          });
+          setTimeout(function() {
+            // no pending poll request, the chunks are still buffered
+            expect(written).to.be(false);
+            poll(port, { sid: sid, b64: 1 }, function(packets) {
+              expect(packets.length).to.be(3);
+              expect(written).to.be(true);
+              socket.close();
+              done();
+            });
+          }, 50);
+        });
+      });
+    });
+
+    it("should reassemble a stream from the client", function(done) {
+      var engine = listen({ allowUpgrades: false }, function(port) {
+        var client = eioc("ws://localhost:%d".s(port));
+        engine.on("connection", function(socket) {
+          socket.on("message", function() {
+            done(new Error("should not happen"));
+          });
+          socket.on("stream", function(stream, meta) {
+            expect(meta).to.eql({ name: "file.txt" });
+            var chunks = [];
+            stream.on("data", function(chunk) {
+              chunks.push(chunk);
+            });
+            stream.on("end", function() {
+              expect(Buffer.concat(chunks).toString()).to.be("hello world");
+              client.close();
+              done();
+            });
+          });
+        });
+        client.on("open", function() {
+          client.send('\u001esn7:{"name":"file.txt"}');
+          client.send(chunkFrame(7, 0, "hello "));
+          client.send(chunkFrame(7, 1, "world"));
+          client.send("\u001ese7:2:11:" + sha1("hello world"));
+        });
+      });
+    });
+
+    it("should fail upon integrity check error", function(done) {
+      var engine = listen({ allowUpgrades: false }, function(port) {
+        var client = eioc("ws://localhost:%d".s(port));
+        engine.on("connection", function(socket) {
+          socket.on("stream", function(stream) {
+            stream.resume();
+            stream.on("error", function(err) {
+              expect(err.message).to.be("stream integrity check failed");
+            });
+            stream.on("close", function() {
+              expect(socket.readStreams).to.eql({});
+              client.close();
+              done();
+            });
+          });
+        });
+        client.on("open", function() {
+          client.send("\u001esn0:{}");
+          client.send(chunkFrame(0, 0, "hello"));
+          client.send("\u001ese0:1:5:" + sha1("hallo"));
+        });
+      });
+    });
+
+    it("should abort the streams upon close", function(done) {
+      var engine = listen({ allowUpgrades: false }, function(port) {
+        var client = eioc("ws://localhost:%d".s(port));
+        engine.on("connection", function(socket) {
+          var outgoing = socket.createWriteStream();
+          var errors = 0;
+          function onError(err) {
+            expect(err.message).to.be("socket closed (transport close)");
+            if (++errors === 2) done();
+          }
+          outgoing.on("error", onError);
+          socket.on("stream", function(stream) {
+            stream.on("error", onError);
+            client.close();
+          });
+        });
+        client.on("open", function() {
+          client.send("\u001esn0:{}");
+        });
+      });
+    });
+
+    it("should not throw upon close without error listener", function(done) {
+      var engine = listen({ allowUpgrades: false }, function(port) {
+        var client = eioc("ws://localhost:%d".s(port));
+        engine.on("connection", function(socket) {
+          socket.on("stream", function(stream) {
+            stream.on("close", function() {
+              expect(socket.readyState).to.be("closed");
+              done();
+            });
+            client.close();
+          });
+        });
+        client.on("open", function() {
+          client.send("\u001esn0:{}");
+        });
+      });
+    });
+
+    it("should pass the frames of unknown streams as messages", function(done) {
+      var engine = listen({ allowUpgrades: false }, function(port) {
+        var client = eioc("ws://localhost:%d".s(port), {
+          transports: ["websocket"]
+        });
+        engine.on("connection", function(socket) {
+          var messages = [];
+          socket.on("message", function(msg) {
+            messages.push(msg);
+            if (3 !== messages.length) return;
+            expect(messages[0].equals(chunkFrame(1, 0, "ab"))).to.be(true);
+            expect(messages[1]).to.be("\u001ese1:1:2:");
+            expect(messages[2]).to.be("\u001esn2:{}");
+            client.close();
+            done();
+          });
+        });
+        client.on("open", function() {
+          client.send(chunkFrame(1, 0, "ab"));
+          client.send("\u001ese1:1:2:");
+          // not a stream without a stream listener
+          client.send("\u001esn2:{}");
+        });
+      });
+    });
+
+    it("should ignore the frames after the end of a stream", function(done) {
+      var engine = listen({ allowUpgrades: false }, function(port) {
+        var client = eioc("ws://localhost:%d".s(port), {
+          transports: ["websocket"]
+        });
+        engine.on("connection", function(socket) {
+          var messages = [];
+          socket.on("stream", function(stream) {
+            stream.resume();
+            stream.on("error", function(err) {
+              expect(err.message).to.be("stream integrity check failed");
+            });
+          });
+          socket.on("message", function(msg) {
+            messages.push(msg);
+            if (2 !== messages.length) return;
+            // the stream is unregistered, the frames are regular messages
+            expect(messages[0]).to.be("\u001ese0:0:0:bad");
+            expect(messages[1].equals(chunkFrame(0, 0, "ab"))).to.be(true);
+            expect(socket.readStreams).to.eql({});
+            client.close();
+            done();
+          });
+        });
+        client.on("open", function() {
+          client.send("\u001esn0:{}");
+          client.send("\u001ese0:0:0:bad");
+          client.send("\u001ese0:0:0:bad");
+          client.send(chunkFrame(0, 0, "ab"));
+        });
+      });
+    });
+
+    it("should ignore the frames after an abort", function(done) {
+      var engine = listen({ allowUpgrades: false }, function(port) {
+        var client = eioc("ws://localhost:%d".s(port), {
+          transports: ["websocket"]
+        });
+        engine.on("connection", function(socket) {
+          var messages = [];
+          var stream;
+          socket.on("stream", function(s) {
+            stream = s;
+            stream.resume();
+          });
+          socket.on("message", function(msg) {
+            messages.push(msg);
+            if (2 !== messages.length) return;
+            expect(messages[0].equals(chunkFrame(0, 0, "ab"))).to.be(true);
+            expect(messages[1]).to.be("\u001ese0:1:2:" + sha1("ab"));
+            expect(stream.destroyed).to.be(true);
+            expect(socket.readStreams).to.eql({});
+            client.close();
+            done();
+          });
+        });
+        client.on("open", function() {
+          client.send("\u001esn0:{}");
+          client.send("\u001esa0:cancelled");
+          client.send(chunkFrame(0, 0, "ab"));
+          client.send("\u001ese0:1:2:" + sha1("ab"));
+        });
+      });
+    });
+
+    it("should limit the number of read streams", function(done) {
+      var opts = { allowUpgrades: false, maxReadStreams: 1 };
+      var engine = listen(opts, function(port) {
+        var client = eioc("ws://localhost:%d".s(port));
+        var opened = [];
+        engine.on("connection", function(socket) {
+          socket.on("stream", function(stream) {
+            opened.push(stream.id);
+          });
+        });
+        client.on("open", function() {
+          client.send("\u001esn0:{}");
+          client.send("\u001esn1:{}");
+        });
+        client.on("message", function(msg) {
+          expect(msg).to.be("\u001esa1:too many streams");
+          expect(opened).to.eql([0]);
+          client.close();
+          done();
+        });
+      });
+    });
+  });
+
+  describe("xhr-streaming", function() {
+    function openStream(port, query, onPacket, onEnd) {
+      return http.get(
+        {
+          port: port,
+          path: "/engine.io/default/?transport=xhr-streaming" + query
+        },
+        function(res) {
+          expect(res.statusCode).to.be(200);
+          expect(res.headers["transfer-encoding"]).to.be("chunked");
+          var buffer = "";
+          res.setEncoding("utf8");
+          res.on("data", function(chunk) {
+            buffer += chunk;
+            var index;
+            // each frame is the length of the payload, a newline and the payload
+            while (~(index = buffer.indexOf("\n"))) {
+              var length = Number(buffer.slice(0, index));
+              if (buffer.length < index + 1 + length) break;
+              var payload = buffer.slice(index + 1, index + 1 + length);
+              buffer = buffer.slice(index + 1 + length);
+              eio.parser.decodePayload(payload, function(packet) {
+                onPacket(packet, res);
+              });
+            }
+          });
+          res.on("end", function() {
+            if (onEnd) onEnd();
+          });
+        }
+      );
+    }
+
+    it("should push payloads on the same response", function(done) {
+      var engine = listen(function(port) {
+        engine.on("connection", function(socket) {
+          expect(socket.transport.name).to.be("xhr-streaming");
+          socket.send("hello");
+          setTimeout(function() {
+            socket.send("world");
+          }, 20);
+        });
+        var packets = [];
+        var req = openStream(port, "", function(packet) {
+          packets.push(packet);
+          if (packets.length < 3) return;
+          expect(packets[0].type).to.be("open");
+          expect(JSON.parse(packets[0].data).upgrades).to.eql(["websocket"]);
+          expect(packets[1]).to.eql({ type: "message", data: "hello" });
+          expect(packets[2]).to.eql({ type: "message", data: "world" });
+          req.abort();
+          done();
+        });
+      });
+    });
+
+    it("should recycle the response after the byte budget", function(done) {
+      var engine = listen({ streamingMaxBytes: 10 }, function(port) {
+        var sid;
+        engine.on("connection", function(socket) {
+          socket.send("buffered");
+        });
+        openStream(
+          port,
+          "",
+          function(packet) {
+            if ("open" === packet.type) sid = JSON.parse(packet.data).sid;
+          },
+          function() {
+            // the message waits for the next request
+            openStream(port, "&sid=" + sid, function(packet, res) {
+              expect(packet).to.eql({ type: "message", data: "buffered" });
+              res.destroy();
+              done();
+            });
+          }
+        );
+      });
+    });
+
+    it("should recycle the response after the time budget", function(done) {
+      var engine = listen({ streamingMaxAge: 50 }, function(port) {
+        var start = Date.now();
+        var sid;
+        openStream(
+          port,
+          "",
+          function(packet) {
+            sid = JSON.parse(packet.data).sid;
+          },
+          function() {
+            expect(Date.now() - start).to.be.greaterThan(40);
+            expect(engine.clients[sid].readyState).to.be("open");
+            engine.clients[sid].close();
+            done();
+          }
+        );
+      });
+    });
+
+    it("should receive packets sent by POST", function(done) {
+      var engine = listen(function(port) {
+        engine.on("connection", function(socket) {
+          socket.on("message", function(msg) {
+            expect(msg).to.be("hi");
+            socket.close();
+          });
+        });
+        openStream(port, "", function(packet) {
+          if ("close" === packet.type) return done();
+          request
+            .post("http://localhost:%d/engine.io/default/".s(port))
+            .query({
+              transport: "xhr-streaming",
+              sid: JSON.parse(packet.data).sid
+            })
+            .send("3:4hi")
+            .end(function(err, res) {
+              expect(err).to.be(null);
+              expect(res.text).to.be("ok");
+            });
+        });
+      });
+    });
+
+    it("should upgrade to websocket", function(done) {
+      var engine = listen(function(port) {
+        engine.on("connection", function(socket) {
+          socket.on("upgrade", function(transport) {
+            expect(transport.name).to.be("websocket");
+            socket.send("upgraded");
+          });
+        });
+        var ended = false;
+        openStream(
+          port,
+          "",
+          function(packet) {
+            if ("open" !== packet.type) return;
+            var ws = new WebSocket(
+              "ws://localhost:%d/engine.io/?transport=websocket&sid=%s".s(
+                port,
+                JSON.parse(packet.data).sid
+              )
+            );
+            ws.on("open", function() {
+              ws.send("2probe");
+            });
+            ws.on("message", function(data) {
+              data = String(data);
+              if ("3probe" === data) {
+                // the response is ended so that the client can pause
+                setTimeout(function() {
+                  expect(ended).to.be(true);
+                  ws.send("5");
+                }, 150);
+                return;
+              }
+              expect(data).to.be("4upgraded");
+              ws.close();
+              done();
+            });
+          },
+          function() {
+            ended = true;
+          }
+        );
+      });
+    });
+  });
+
+  describe("connection limits", function() {
+    function handshakeFrom(port, ip, fn) {
+      var req = request
+        .get("http://localhost:%d/engine.io/default/".s(port))
+        .query({ transport: "polling", b64: 1 });
+      if (ip) req.set("X-Forwarded-For", ip + ", 10.0.0.1");
+      req.end(fn);
+    }
+
+    it("should limit the number of sessions", function(done) {
+      var engine = listen({ maxConnections: 1 }, function(port) {
+        var limits = [];
+        engine.on("connectionLimit", function(info) {
+          limits.push(info);
+        });
+        handshakeFrom(port, null, function(err) {
+          expect(err).to.be(null);
+          handshakeFrom(port, null, function(err, res) {
+            expect(err).to.be.an(Error);
+            expect(res.status).to.be(429);
+            expect(res.body.code).to.be(7);
+            expect(res.body.message).to.be("Too many connections");
+            expect(limits.length).to.be(1);
+            expect(limits[0].limit).to.be("global");
+            expect(limits[0].count).to.be(1);
+            done();
+          });
+        });
+      });
+    });
+
+    it("should limit the number of sessions per ip", function(done) {
+      var opts = { maxConnectionsPerIp: 1, trustProxy: true };
+      var engine = listen(opts, function(port) {
+        engine.on("connectionLimit", function(info) {
+          expect(info.limit).to.be("ip");
+          expect(info.ip).to.be("1.2.3.4");
+        });
+        handshakeFrom(port, "1.2.3.4", function(err) {
+          expect(err).to.be(null);
+          handshakeFrom(port, "5.6.7.8", function(err) {
+            expect(err).to.be(null);
+            handshakeFrom(port, "1.2.3.4", function(err, res) {
+              expect(res.status).to.be(429);
+              expect(engine.ipConnections.get("1.2.3.4")).to.be(1);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it("should ignore X-Forwarded-For without trustProxy", function(done) {
+      listen({ maxConnectionsPerIp: 1 }, function(port) {
+        handshakeFrom(port, "1.2.3.4", function(err) {
+          expect(err).to.be(null);
+          handshakeFrom(port, "5.6.7.8", function(err, res) {
+            expect(res.status).to.be(429);
+            done();
+          });
+        });
+      });
+    });
+
+    it("should limit websocket handshakes", function(done) {
+      var engine = listen({ maxConnectionsPerIp: 1 }, function(port) {
+        var limited = false;
+        engine.on("connectionLimit", function() {
+          limited = true;
+        });
+        handshakeFrom(port, null, function(err) {
+          expect(err).to.be(null);
+          var socket = new eioc.Socket("ws://localhost:%d".s(port), {
+            transports: ["websocket"]
+          });
+          socket.on("error", function() {
+            expect(limited).to.be(true);
+            done();
+          });
+        });
+      });
+    });
+
+    it("should enforce the limits on concurrent handshakes", function(done) {
+      var opts = {
+        maxConnections: 2,
+        maxConnectionsPerIp: 1,
+        trustProxy: true,
+        allowRequest: function(req, fn) {
+          setTimeout(function() {
+            fn(null, true);
+          }, 20);
+        }
+      };
+      var engine = listen(opts, function(port) {
+        var ips = ["1.1.1.1", "1.1.1.1", "2.2.2.2", "2.2.2.2", "3.3.3.3"];
+        var accepted = 0;
+        var remaining = ips.length;
+        ips.forEach(function(ip) {
+          handshakeFrom(port, ip, function(err, res) {
+            if (!err) accepted++;
+            else expect(res.status).to.be(429);
+            if (--remaining) return;
+            expect(accepted).to.be(2);
+            expect(engine.clientsCount).to.be(2);
+            done();
+          });
+        });
+      });
+    });
+
+    it("should close the websockets over the limit", function(done) {
+      var opts = {
+        maxConnections: 1,
+        allowRequest: function(req, fn) {
+          setTimeout(function() {
+            fn(null, true);
+          }, 20);
+        }
+      };
+      var engine = listen(opts, function(port) {
+        var url = "ws://localhost:%d/engine.io/default/?transport=websocket".s(
+          port
+        );
+        var sockets = [new WebSocket(url), new WebSocket(url)];
+        var code;
+        engine.on("connectionError", function(err) {
+          code = err.code;
+        });
+        sockets.forEach(function(ws) {
+          ws.on("close", function() {
+            expect(code).to.be(eio.Server.errors.TOO_MANY_CONNECTIONS);
+            expect(engine.clientsCount).to.be(1);
+            sockets.forEach(function(ws) {
+              ws.removeAllListeners("close");
+              ws.close();
+            });
+            done();
+          });
+        });
+      });
+    });
+
+    it("should release the slot upon close", function(done) {
+      var engine = listen({ maxConnectionsPerIp: 1 }, function(port) {
+        handshakeFrom(port, null, function(err) {
+          expect(err).to.be(null);
+          var sid = Object.keys(engine.clients)[0];
+          engine.clients[sid].close();
+          // the close packet is sent upon the next poll
+          poll(port, { sid: sid, b64: 1 }, function() {
+            expect(engine.ipConnections.size).to.be(0);
+            handshakeFrom(port, null, function(err) {
+              expect(err).to.be(null);
+              done();
+            });
+          });
+        });
+      });
+    });
+  });
+
+  describe("rate limit", function() {
+    it("should drop the messages over the packet rate", function(done) {
+      var opts = { allowUpgrades: false, rateLimit: { packets: 2 } };
+      var engine = listen(opts, function(port) {
+        var client = eioc("ws://localhost:%d".s(port));
+        engine.on("connection", function(socket) {
+          var messages = [];
+          var limited = [];
+          socket.on("message", function(msg) {
+            messages.push(msg);
+          });
+          socket.on("ratelimit", function(info) {
+            limited.push(info);
+            if (limited.length < 3) return;
+            expect(messages).to.eql(["1", "2"]);
+            expect(limited[0]).to.eql({
+              limit: "packets",
+              policy: "drop",
+              size: 1
+            });
+            client.close();
+            done();
+          });
+        });
+        client.on("open", function() {
+          for (var i = 1; i <= 5; i++) client.send(String(i));
+        });
+      });
+    });
+
+    it("should drop the messages over the byte rate", function(done) {
+      var opts = { allowUpgrades: false, rateLimit: { bytes: 10 } };
+      var engine = listen(opts, function(port) {
+        var client = eioc("ws://localhost:%d".s(port));
+        engine.on("connection", function(socket) {
+          var messages = [];
+          socket.on("message", function(msg) {
+            messages.push(msg);
+            if ("c" !== msg) return;
+            expect(messages).to.eql(["aaaaaaaa", "c"]);
+            client.close();
+            done();
+          });
+          socket.on("ratelimit", function(info) {
+            expect(info.limit).to.be("bytes");
+          });
+        });
+        client.on("open", function() {
+          client.send("aaaaaaaa");
+          client.send("bbbbbbbb");
+          client.send("c");
+        });
+      });
+    });
+
+    it("should close the socket", function(done) {
+      var opts = {
+        allowUpgrades: false,
+        rateLimit: { packets: 1, policy: "close" }
+      };
+      var engine = listen(opts, function(port) {
+        var client = eioc("ws://localhost:%d".s(port));
+        engine.on("connection", function(socket) {
+          socket.on("close", function(reason) {
+            expect(reason).to.be("rate limit");
+            done();
+          });
+        });
+        client.on("open", function() {
+          client.send("a");
+          client.send("b");
+        });
+      });
+    });
+
+    it("should delay the acknowledgement of a data request", function(done) {
+      var opts = { rateLimit: { packets: 20, policy: "delay" } };
+      var engine = listen(opts, function(port) {
+        handshake(port, function(sid) {
+          var socket = engine.clients[sid];
+          var received = 0;
+          socket.on("message", function() {
+            received++;
+          });
+          var payload = "";
+          for (var i = 0; i < 21; i++) payload += "2:4a";
+          var start = Date.now();
+          request
+            .post("http://localhost:%d/engine.io/default/".s(port))
+            .query({ transport: "polling", sid: sid })
+            .send(payload)
+            .end(function(err, res) {
+              expect(err).to.be(null);
+              expect(res.text).to.be("ok");
+              // all the messages are accepted, but the next request waits
+              expect(received).to.be(21);
+              expect(Date.now() - start).to.be.greaterThan(40);
+              socket.close();
+              done();
+            });
+        });
+      });
+    });
+
+    it("should pause the websocket", function(done) {
+      var opts = {
+        allowUpgrades: false,
+        rateLimit: { packets: 20, policy: "delay" }
+      };
+      var engine = listen(opts, function(port) {
+        var client = eioc("ws://localhost:%d".s(port), {
+          transports: ["websocket"]
+        });
+        engine.on("connection", function(socket) {
+          var received = 0;
+          socket.on("message", function() {
+            if (++received < 21) return;
+            var conn = socket.transport.socket._socket;
+            expect(conn.isPaused()).to.be(true);
+            setTimeout(function() {
+              expect(conn.isPaused()).to.be(false);
+              client.close();
+              done();
+            }, 100);
+          });
+        });
+        client.on("open", function() {
+          for (var i = 0; i < 21; i++) client.send("a");
+        });
+      });
+    });
+  });
+
+  describe("trustProxy", function() {
+    function connect(port, headers, fn) {
+      request
+        .get("http://localhost:%d/engine.io/default/".s(port))
+        .query({ transport: "polling" })
+        .set(headers)
+        .end(function(err) {
+          expect(err).to.be(null);
+          fn();
+        });
+    }
+
+    it("should ignore the headers by default", function(done) {
+      var engine = listen(function(port) {
+        engine.on("connection", function(socket) {
+          expect(socket.remoteAddress).to.be("::ffff:127.0.0.1");
+          expect(socket.remotePort).to.be.a("number");
+          expect(socket.protocol).to.be("http");
+          expect(socket.forwardedChain).to.eql(["::ffff:127.0.0.1"]);
+          socket.close();
+          done();
+        });
+        connect(
+          port,
+          { "X-Forwarded-For": "1.2.3.4", "X-Forwarded-Proto": "https" },
+          function() {}
+        );
+      });
+    });
+
+    it("should trust every hop", function(done) {
+      var engine = listen({ trustProxy: true }, function(port) {
+        engine.on("connection", function(socket) {
+          expect(socket.remoteAddress).to.be("1.2.3.4");
+          expect(socket.remotePort).to.be(null);
+          expect(socket.protocol).to.be("https");
+          expect(socket.forwardedChain).to.eql([
+            "1.2.3.4",
+            "10.0.0.1",
+            "::ffff:127.0.0.1"
+          ]);
+          socket.close();
+          done();
+        });
+        connect(
+          port,
+          {
+            "X-Forwarded-For": "1.2.3.4, 10.0.0.1",
+            "X-Forwarded-Proto": "https"
+          },
+          function() {}
+        );
+      });
+    });
+
+    it("should trust a number of hops", function(done) {
+      var engine = listen({ trustProxy: 2 }, function(port) {
+        engine.on("connection", function(socket) {
+          // the first address may be forged by the client
+          expect(socket.remoteAddress).to.be("1.2.3.4");
+          expect(socket.forwardedChain).to.eql([
+            "1.2.3.4",
+            "10.0.0.1",
+            "::ffff:127.0.0.1"
+          ]);
+          socket.close();
+          done();
+        });
+        connect(
+          port,
+          { "X-Forwarded-For": "6.6.6.6, 1.2.3.4, 10.0.0.1" },
+          function() {}
+        );
+      });
+    });
+
+    it("should trust a list of addresses", function(done) {
+      var opts = { trustProxy: ["127.0.0.1", "10.0.0.0/8"] };
+      var engine = listen(opts, function(port) {
+        engine.on("connection", function(socket) {
+          expect(socket.remoteAddress).to.be("11.0.0.1");
+          expect(socket.forwardedChain).to.eql([
+            "11.0.0.1",
+            "10.1.2.3",
+            "::ffff:127.0.0.1"
+          ]);
+          socket.close();
+          done();
+        });
+        connect(
+          port,
+          { "X-Forwarded-For": "1.2.3.4, 11.0.0.1, 10.1.2.3" },
+          function() {}
+        );
+      });
+    });
+
+    it("should parse the Forwarded header", function(done) {
+      var engine = listen({ trustProxy: "127.0.0.1, 10.0.0.0/8" }, function(
+        port
+      ) {
+        engine.on("connection", function(socket) {
+          expect(socket.remoteAddress).to.be("2001:db8:cafe::17");
+          expect(socket.remotePort).to.be(4711);
+          expect(socket.protocol).to.be("https");
+          expect(socket.forwardedChain).to.eql([
+            "2001:db8:cafe::17",
+            "10.0.0.1",
+            "::ffff:127.0.0.1"
+          ]);
+          socket.close();
+          done();
+        });
+        connect(
+          port,
+          {
+            Forwarded:
+              'for="[2001:db8:cafe::17]:4711";proto=https, For=10.0.0.1',
+            // ignored in favor of the standard header
+            "X-Forwarded-For": "1.2.3.4"
+          },
+          function() {}
+        );
+      });
+    });
+
+    it("should use the X-Real-IP header", function(done) {
+      var engine = listen({ trustProxy: 1 }, function(port) {
+        engine.on("connection", function(socket) {
+          expect(socket.remoteAddress).to.be("1.2.3.4");
+          socket.close();
+          done();
+        });
+        connect(port, { "X-Real-IP": "1.2.3.4" }, function() {});
+      });
+    });
+
+    it("should keep the values of the handshake", function(done) {
+      var engine = listen({ trustProxy: true }, function(port) {
+        engine.on("connection", function(socket) {
+          socket.on("upgrade", function() {
+            expect(socket.remoteAddress).to.be("1.2.3.4");
+            expect(socket.forwardedChain).to.eql([
+              "1.2.3.4",
+              "::ffff:127.0.0.1"
+            ]);
+            socket.close();
+            done();
+          });
+          var ws = new WebSocket(
+            "ws://localhost:%d/engine.io/default/?transport=websocket&sid=%s".s(
+              port,
+              socket.id
+            ),
+            { headers: { "X-Forwarded-For": "5.6.7.8" } }
+          );
+          ws.on("open", function() {
+            ws.send("2probe");
+          });
+          ws.on("message", function(data) {
+            if ("3probe" === String(data)) ws.send("5");
+          });
+        });
+        connect(port, { "X-Forwarded-For": "1.2.3.4" }, function() {});
+      });
+    });
+
+    it("should reject invalid addresses", function() {
+      expect(function() {
+        new eio.Server({ trustProxy: ["10.0.0.0/33"] });
+      }).to.throwError(/invalid trustProxy address/);
+    });
+  });
+
+  describe("handshake", function() {
+    it("should expose the details of the handshake request", function(done) {
+      var engine = listen({ allowUpgrades: false }, function(port) {
+        engine.on("connection", function(socket) {
+          var handshake = socket.handshake;
+          expect(Object.isFrozen(handshake)).to.be(true);
+          expect(Object.isFrozen(handshake.headers)).to.be(true);
+          expect(handshake.headers["x-custom"]).to.be("1");
+          expect(handshake.query.foo).to.be("bar");
+          expect(handshake.cookies).to.eql({ a: "1", b: "2" });
+          expect(handshake.address).to.be("::ffff:127.0.0.1");
+          expect(handshake.port).to.be.a("number");
+          expect(handshake.issued).to.be.a("number");
+          expect(handshake.secure).to.be(false);
+          expect(handshake.url).to.contain("foo=bar");
+          expect(handshake.transport).to.be("polling");
+          socket.close();
+          done();
+        });
+        request
+          .get("http://localhost:%d/engine.io/default/".s(port))
+          .query({ transport: "polling", foo: "bar" })
+          .set({ "X-Custom": "1", Cookie: "a=1; b=2" })
+          .end(function() {});
+      });
+    });
+
+    it("should keep the details upon upgrade", function(done) {
+      var engine = listen(function(port) {
+        var client = eioc("ws://localhost:%d".s(port), {
+          query: { foo: "bar" }
+        });
+        engine.on("connection", function(socket) {
+          var handshake = socket.handshake;
+          socket.on("upgrade", function() {
+            expect(socket.handshake).to.be(handshake);
+            expect(handshake.transport).to.be("polling");
+            expect(handshake.query.transport).to.be("polling");
+            expect(handshake.query.foo).to.be("bar");
+            client.close();
+            done();
+          });
+        });
+      });
+    });
+
+    it("should expose the data attached by the middlewares", function(done) {
+      var engine = listen(function(port) {
+        engine.use(function(req, res, next) {
+          req.data = { user: "tobi" };
+          next();
+        });
+        var client = eioc("ws://localhost:%d".s(port));
+        engine.on("connection", function(socket) {
+          expect(socket.data).to.eql({ user: "tobi" });
+          socket.on("upgrade", function() {
+            expect(socket.data).to.eql({ user: "tobi" });
+            client.close();
+            done();
+          });
+        });
+      });
+    });
+
+    it("should default the data to an empty object", function(done) {
+      var engine = listen(function(port) {
+        var client = eioc("ws://localhost:%d".s(port), {
+          transports: ["websocket"]
+        });
+        engine.on("connection", function(socket) {
+          expect(socket.data).to.eql({});
+          expect(socket.handshake.transport).to.be("websocket");
+          client.close();
+          done();
+        });
+      });
+    });
+  });
+
+  describe("session binding", function() {
+    function get(port, query, headers, fn) {
+      request
+        .get("http://localhost:%d/engine.io/default/".s(port))
+        .query(Object.assign({ transport: "polling", b64: 1 }, query))
+        .set(headers)
+        .end(fn);
+    }
+
+    function open(port, headers, fn) {
+      get(port, {}, headers, function(err, res) {
+        expect(err).to.be(null);
+        var sid = JSON.parse(res.text.slice(res.text.indexOf("{"))).sid;
+        fn(sid, res);
+      });
+    }
+
+    it("should bind the session to the address", function(done) {
+      var opts = { trustProxy: true, sessionBinding: { ip: true } };
+      var engine = listen(opts, function(port) {
+        var attempts = [];
+        engine.on("hijackAttempt", function(info) {
+          attempts.push(info);
+        });
+        open(port, { "X-Forwarded-For": "1.2.3.4" }, function(sid) {
+          get(port, { sid: sid }, { "X-Forwarded-For": "5.6.7.8" }, function(
+            err,
+            res
+          ) {
+            expect(res.status).to.be(403);
+            expect(res.body.code).to.be(8);
+            expect(res.body.message).to.be("Session binding mismatch");
+            expect(attempts.length).to.be(1);
+            expect(attempts[0].id).to.be(sid);
+            expect(attempts[0].check).to.be("ip");
+            engine.clients[sid].send("a");
+            get(port, { sid: sid }, { "X-Forwarded-For": "1.2.3.4" }, function(
+              err,
+              res
+            ) {
+              expect(err).to.be(null);
+              expect(res.status).to.be(200);
+              engine.clients[sid].close();
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it("should bind the session to a subnet", function(done) {
+      var opts = { trustProxy: true, sessionBinding: { ip: { ipv4: 24 } } };
+      var engine = listen(opts, function(port) {
+        open(port, { "X-Forwarded-For": "1.2.3.4" }, function(sid) {
+          engine.clients[sid].send("a");
+          get(port, { sid: sid }, { "X-Forwarded-For": "1.2.3.99" }, function(
+            err
+          ) {
+            expect(err).to.be(null);
+            get(port, { sid: sid }, { "X-Forwarded-For": "1.2.4.4" }, function(
+              err,
+              res
+            ) {
+              expect(res.status).to.be(403);
+              engine.clients[sid].close();
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it("should bind the session to the user agent", function(done) {
+      var engine = listen({ sessionBinding: true }, function(port) {
+        engine.on("hijackAttempt", function(info) {
+          expect(info.check).to.be("userAgent");
+          engine.clients[info.id].close();
+          done();
+        });
+        open(port, { "User-Agent": "a" }, function(sid) {
+          get(port, { sid: sid }, { "User-Agent": "b" }, function(err, res) {
+            expect(res.status).to.be(403);
+          });
+        });
+      });
+    });
+
+    it("should bind the session to a signed cookie", function(done) {
+      var opts = { sessionBinding: { cookie: true, secret: "s3cr3t" } };
+      var engine = listen(opts, function(port) {
+        open(port, {}, function(sid, res) {
+          var cookie = res.headers["set-cookie"][0].split(";")[0];
+          expect(cookie).to.match(/^io_bind=[0-9a-f]{32}\./);
+          get(port, { sid: sid }, {}, function(err, res) {
+            expect(res.status).to.be(403);
+            get(port, { sid: sid }, { Cookie: cookie + "x" }, function(
+              err,
+              res
+            ) {
+              expect(res.status).to.be(403);
+              engine.clients[sid].send("a");
+              get(port, { sid: sid }, { Cookie: cookie }, function(err, res) {
+                expect(err).to.be(null);
+                expect(res.status).to.be(200);
+                engine.clients[sid].close();
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it("should check the websocket upgrade", function(done) {
+      var opts = { sessionBinding: { userAgent: true } };
+      var engine = listen(opts, function(port) {
+        open(port, { "User-Agent": "a" }, function(sid) {
+          var ws = new WebSocket(
+            "ws://localhost:%d/engine.io/default/?transport=websocket&sid=%s".s(
+              port,
+              sid
+            ),
+            { headers: { "User-Agent": "b" } }
+          );
+          ws.on("unexpected-response", function(req, res) {
+            expect(res.statusCode).to.be(403);
+            engine.clients[sid].close();
+            done();
+          });
+        });
+      });
+    });
+
+    it("should set the cookie upon websocket handshake", function(done) {
+      var opts = { sessionBinding: { cookie: "bind" } };
+      listen(opts, function(port) {
+        var ws = new WebSocket(
+          "ws://localhost:%d/engine.io/default/?transport=websocket".s(port)
+        );
+        ws.on("upgrade", function(res) {
+          expect(res.headers["set-cookie"][0]).to.match(/^bind=/);
+        });
+        ws.on("open", function() {
+          ws.close();
+          done();
+        });
+      });
+    });
+  });
+
+  describe("signed cookie", function() {
+    function sign(value, secret) {
+      return (
+        value +
+        "." +
+        crypto
+          .createHmac("sha256", secret)
+          .update(value)
+          .digest("base64")
+          .replace(/=+$/, "")
+          .replace(/\+/g, "-")
+          .replace(/\//g, "_")
+      );
+    }
+
+    function get(port, query, cookie, fn) {
+      var req = request
+        .get("http://localhost:%d/engine.io/default/".s(port))
+        .query(Object.assign({ transport: "polling" }, query));
+      if (cookie) req.set("Cookie", cookie);
+      req.end(fn);
+    }
+
+    function open(port, fn) {
+      get(port, {}, null, function(err, res) {
+        expect(err).to.be(null);
+        var sid = JSON.parse(res.text.slice(res.text.indexOf("{"))).sid;
+        fn(sid, res.headers["set-cookie"]);
+      });
+    }
+
+    it("should sign the cookie", function(done) {
+      var engine = listen({ cookie: { secret: "s3cr3t" } }, function(port) {
+        open(port, function(sid, cookies) {
+          var cookie = cookies[0].split(";")[0];
+          expect(cookie).to.be("io=" + sign(sid, "s3cr3t"));
+          engine.clients[sid].send("a");
+          get(port, { sid: sid }, cookie, function(err, res) {
+            expect(err).to.be(null);
+            expect(res.status).to.be(200);
+            engine.clients[sid].close();
+            done();
+          });
+        });
+      });
+    });
+
+    it("should reject a forged cookie", function(done) {
+      var engine = listen({ cookie: { secret: "s3cr3t" } }, function(port) {
+        open(port, function(sid) {
+          get(port, { sid: sid }, "io=" + sign(sid, "guess"), function(
+            err,
+            res
+          ) {
+            expect(res.status).to.be(403);
+            expect(res.body.code).to.be(9);
+            expect(res.body.message).to.be("Invalid cookie");
+            engine.clients[sid].close();
+            done();
+          });
+        });
+      });
+    });
+
+    it("should reject a missing cookie", function(done) {
+      var engine = listen({ cookie: { secret: "s3cr3t" } }, function(port) {
+        open(port, function(sid) {
+          get(port, { sid: sid }, null, function(err, res) {
+            expect(res.status).to.be(403);
+            expect(res.body.code).to.be(9);
+            engine.clients[sid].close();
+            done();
+          });
+        });
+      });
+    });
+
+    it("should reject the cookie of another session", function(done) {
+      var engine = listen({ cookie: { secret: "s3cr3t" } }, function(port) {
+        open(port, function(sid) {
+          open(port, function(other, cookies) {
+            var cookie = cookies[0].split(";")[0];
+            get(port, { sid: sid }, cookie, function(err, res) {
+              expect(res.status).to.be(403);
+              expect(res.body.code).to.be(9);
+              engine.clients[sid].close();
+              engine.clients[other].close();
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it("should accept the previous secrets", function(done) {
+      var opts = { cookie: { secret: ["new", "old"], rolling: true } };
+      var engine = listen(opts, function(port) {
+        open(port, function(sid) {
+          engine.clients[sid].send("a");
+          get(port, { sid: sid }, "io=" + sign(sid, "old"), function(err, res) {
+            expect(err).to.be(null);
+            // the cookie is signed again with the current secret
+            expect(res.headers["set-cookie"][0]).to.contain(sign(sid, "new"));
+            engine.clients[sid].close();
+            done();
+          });
+        });
+      });
+    });
+
+    it("should issue the cookies of the hook", function(done) {
+      var opts = {
+        cookie: {
+          extra: function(socket) {
+            return { node: "a", user: socket.request._query.user };
+          }
+        }
+      };
+      var engine = listen(opts, function(port) {
+        get(port, { user: "tobi" }, null, function(err, res) {
+          expect(err).to.be(null);
+          var cookies = res.headers["set-cookie"];
+          expect(cookies.length).to.be(3);
+          expect(cookies[1]).to.be("node=a; Path=/; HttpOnly; SameSite=Lax");
+          expect(cookies[2]).to.be("user=tobi; Path=/; HttpOnly; SameSite=Lax");
+          engine.close();
+          done();
+        });
+      });
+    });
+
+    it("should refresh the expiry", function(done) {
+      var opts = { cookie: { maxAge: 60, rolling: true } };
+      var engine = listen(opts, function(port) {
+        open(port, function(sid, cookies) {
+          var first = cookieMod.parse(cookies[0]);
+          expect(first["Max-Age"]).to.be("60");
+          engine.clients[sid].send("a");
+          setTimeout(function() {
+            get(port, { sid: sid }, null, function(err, res) {
+              var second = cookieMod.parse(res.headers["set-cookie"][0]);
+              expect(new Date(second.Expires).getTime()).to.be.greaterThan(
+                new Date(first.Expires).getTime()
+              );
+              engine.clients[sid].close();
+              done();
+            });
+          }, 1000);
+        });
+      });
+    });
+
+    it("should only send the cookie upon handshake by default", function(done) {
+      var engine = listen({ cookie: {} }, function(port) {
+        open(port, function(sid, cookies) {
+          expect(cookies.length).to.be(1);
+          engine.clients[sid].send("a");
+          get(port, { sid: sid }, null, function(err, res) {
+            expect(err).to.be(null);
+            expect(res.headers["set-cookie"]).to.be(undefined);
+            engine.clients[sid].close();
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  describe("auth", function() {
+    function base64url(data) {
+      return Buffer.from(data)
+        .toString("base64")
+        .replace(/=+$/, "")
+        .replace(/\+/g, "-")
+        .replace(/\//g, "_");
+    }
+
+    function jwt(claims, key, alg) {
+      alg = alg || "HS256";
+      var data =
+        base64url(JSON.stringify({ alg: alg, typ: "JWT" })) +
+        "." +
+        base64url(JSON.stringify(claims));
+      var signature =
+        "RS" === alg.slice(0, 2)
+          ? crypto
+              .createSign("RSA-SHA" + alg.slice(2))
+              .update(data)
+              .sign(key)
+          : crypto
+              .createHmac("sha" + alg.slice(2), key)
+              .update(data)
+              .digest();
+      return data + "." + base64url(signature);
+    }
+
+    function inSeconds(seconds) {
+      return Math.floor(Date.now() / 1000) + seconds;
+    }
+
+    function handshakeWith(port, query, headers, fn) {
+      request
+        .get("http://localhost:%d/engine.io/default/".s(port))
+        .query(Object.assign({ transport: "polling" }, query))
+        .set(headers)
+        .end(fn);
+    }
+
+    it("should reject handshakes without a token", function(done) {
+      var engine = listen({ auth: { secret: "s3cr3t" } }, function(port) {
+        var errors = [];
+        engine.on("authError", function(info) {
+          errors.push(info.error.message);
+        });
+        handshakeWith(port, {}, {}, function(err, res) {
+          expect(res.status).to.be(401);
+          expect(res.body.code).to.be(10);
+          expect(res.body.message).to.be("Unauthorized");
+          expect(errors).to.eql(["missing token"]);
+          done();
+        });
+      });
+    });
+
+    it("should accept a bearer token", function(done) {
+      var engine = listen({ auth: { secret: "s3cr3t" } }, function(port) {
+        engine.on("connection", function(socket) {
+          expect(socket.claims.sub).to.be("tobi");
+          socket.close();
+          done();
+        });
+        var token = jwt({ sub: "tobi" }, "s3cr3t");
+        handshakeWith(port, {}, { Authorization: "Bearer " + token }, function(
+          err
+        ) {
+          expect(err).to.be(null);
+        });
+      });
+    });
+
+    it("should accept a token in the query or a cookie", function(done) {
+      var opts = { auth: { secret: "s3cr3t", cookie: "jwt" } };
+      var engine = listen(opts, function(port) {
+        var subs = [];
+        engine.on("connection", function(socket) {
+          subs.push(socket.claims.sub);
+          socket.close();
+          if (2 === subs.length) {
+            expect(subs).to.eql(["a", "b"]);
+            done();
+          }
+        });
+        handshakeWith(
+          port,
+          { token: jwt({ sub: "a" }, "s3cr3t") },
+          {},
+          function(err) {
+            expect(err).to.be(null);
+            var cookie = "jwt=" + jwt({ sub: "b" }, "s3cr3t");
+            handshakeWith(port, {}, { Cookie: cookie }, function(err) {
+              expect(err).to.be(null);
+            });
+          }
+        );
+      });
+    });
+
+    it("should reject invalid tokens", function(done) {
+      var engine = listen({ auth: { secret: "s3cr3t" } }, function(port) {
+        var errors = [];
+        engine.on("authError", function(info) {
+          errors.push(info.error.message);
+        });
+        var tokens = [
+          "abc",
+          jwt({ sub: "a" }, "guess"),
+          jwt({ sub: "a", exp: inSeconds(-10) }, "s3cr3t"),
+          jwt({ sub: "a", nbf: inSeconds(60) }, "s3cr3t"),
+          jwt({ sub: "a" }, "s3cr3t", "HS512"),
+          jwt({ sub: "a" }, "s3cr3t").replace(/\.[^.]*$/, ".")
+        ];
+        var pending = tokens.length;
+        tokens.forEach(function(token) {
+          handshakeWith(port, { token: token }, {}, function(err, res) {
+            expect(res.status).to.be(401);
+            if (--pending) return;
+            expect(errors.sort()).to.eql([
+              "invalid signature",
+              "invalid signature",
+              "malformed token",
+              "token expired",
+              "token not active yet",
+              'unexpected algorithm "HS512"'
+            ]);
+            done();
+          });
+        });
+      });
+    });
+
+    it("should verify RSA signatures", function(done) {
+      var keys = crypto.generateKeyPairSync("rsa", {
+        modulusLength: 1024,
+        publicKeyEncoding: { type: "spki", format: "pem" },
+        privateKeyEncoding: { type: "pkcs8", format: "pem" }
+      });
+      var opts = { auth: { publicKey: keys.publicKey } };
+      var engine = listen(opts, function(port) {
+        engine.on("connection", function(socket) {
+          expect(socket.claims.sub).to.be("tobi");
+          socket.close();
+          done();
+        });
+        // the public key cannot be used as an HMAC secret
+        var forged = jwt({ sub: "eve" }, keys.publicKey, "HS256");
+        handshakeWith(port, { token: forged }, {}, function(err, res) {
+          expect(res.status).to.be(401);
+          var token = jwt({ sub: "tobi" }, keys.privateKey, "RS256");
+          handshakeWith(port, { token: token }, {}, function(err) {
+            expect(err).to.be(null);
+          });
+        });
+      });
+    });
+
+    it("should use a custom verifier", function(done) {
+      var opts = {
+        auth: {
+          verify: function(token, req) {
+            expect(req._query.transport).to.be("polling");
+            return "secret" === token
+              ? Promise.resolve({ sub: "tobi" })
+              : Promise.reject(new Error("nope"));
+          }
+        }
+      };
+      var engine = listen(opts, function(port) {
+        engine.on("connection", function(socket) {
+          expect(socket.claims).to.eql({ sub: "tobi" });
+          socket.close();
+          done();
+        });
+        handshakeWith(port, { token: "wrong" }, {}, function(err, res) {
+          expect(res.status).to.be(401);
+          handshakeWith(port, { token: "secret" }, {}, function() {});
+        });
+      });
+    });
+
+    it("should close the socket when the token expires", function(done) {
+      this.timeout(4000);
+      var engine = listen({ auth: { secret: "s3cr3t" } }, function(port) {
+        var token = jwt({ sub: "a", exp: inSeconds(1) }, "s3cr3t");
+        eioc("ws://localhost:%d".s(port), {
+          transports: ["websocket"],
+          query: { token: token }
+        });
+        engine.on("connection", function(socket) {
+          socket.on("close", function(reason) {
+            expect(reason).to.be("forced close");
+            done();
+          });
+        });
+      });
+    });
+
+    it("should accept a refreshed token", function(done) {
+      this.timeout(4000);
+      var opts = { auth: { secret: "s3cr3t", onExpire: "reauth" } };
+      var engine = listen(opts, function(port) {
+        var client = eioc("ws://localhost:%d".s(port), {
+          transports: ["websocket"],
+          query: { token: jwt({ sub: "a", exp: inSeconds(1) }, "s3cr3t") }
+        });
+        var replies = [];
+        client.on("message", function(msg) {
+          if ("\u001ear:" === msg) {
+            // another user cannot take over the session
+            client.send("\u001eat:" + jwt({ sub: "b" }, "s3cr3t"));
+            client.send(
+              "\u001eat:" + jwt({ sub: "a", exp: inSeconds(60) }, "s3cr3t")
+            );
+            return;
+          }
+          replies.push(msg);
+        });
+        engine.on("connection", function(socket) {
+          var reauth = false;
+          socket.on("reauth", function() {
+            reauth = true;
+          });
+          socket.on("auth", function(claims) {
+            expect(reauth).to.be(true);
+            expect(claims.sub).to.be("a");
+            expect(socket.claims).to.be(claims);
+            setTimeout(function() {
+              expect(replies).to.eql([
+                "\u001eae:subject mismatch",
+                "\u001eao:"
+              ]);
+              expect(socket.readyState).to.be("open");
+              client.close();
+              done();
+            }, 50);
+          });
+        });
+      });
+    });
+
+    it("should close the socket without a refreshed token", function(done) {
+      this.timeout(4000);
+      var opts = {
+        auth: { secret: "s3cr3t", onExpire: "reauth", reauthTimeout: 100 }
+      };
+      var engine = listen(opts, function(port) {
+        eioc("ws://localhost:%d".s(port), {
+          transports: ["websocket"],
+          query: { token: jwt({ sub: "a", exp: inSeconds(1) }, "s3cr3t") }
+        });
+        engine.on("connection", function(socket) {
+          socket.on("close", function(reason) {
+            expect(reason).to.be("forced close");
+            done();
+          });
+        });
+      });
+    });
+
+    it("should require a way to verify the tokens", function() {
+      expect(function() {
+        new eio.Server({ auth: {} });
+      }).to.throwError(/auth requires/);
+    });
+  });
+
+  describe("allowedOrigins", function() {
+    function get(port, query, headers, fn) {
+      request
+        .get("http://localhost:%d/engine.io/default/".s(port))
+        .query(Object.assign({ transport: "polling" }, query))
+        .set(headers)
+        .end(fn);
+    }
+
+    it("should reject the handshakes of other origins", function(done) {
+      var opts = { allowedOrigins: ["https://example.com"] };
+      var engine = listen(opts, function(port) {
+        var violations = [];
+        engine.on("originViolation", function(info) {
+          violations.push(info);
+        });
+        get(port, {}, { Origin: "https://evil.com" }, function(err, res) {
+          expect(res.status).to.be(403);
+          expect(res.body.code).to.be(11);
+          expect(res.body.message).to.be("Origin not allowed");
+          expect(violations.length).to.be(1);
+          expect(violations[0].origin).to.be("https://evil.com");
+          expect(violations[0].reportOnly).to.be(false);
+          get(port, {}, { Origin: "https://example.com" }, function(err, res) {
+            expect(err).to.be(null);
+            expect(res.status).to.be(200);
+            done();
+          });
+        });
+      });
+    });
+
+    it("should match wildcards, regexes and functions", function(done) {
+      var opts = {
+        allowedOrigins: [
+          "https://*.example.com",
+          /^http:\/\/localhost:\d+$/,
+          "http://example.org:*"
+        ]
+      };
+      var origins = {
+        "https://a.example.com": 200,
+        "https://a.b.example.com": 200,
+        "HTTPS://A.EXAMPLE.COM": 200,
+        "https://example.com": 403,
+        "https://a.example.com.evil.com": 403,
+        "https://evilexample.com": 403,
+        "http://localhost:3000": 200,
+        "http://example.org:8080": 200,
+        "http://example.org": 403,
+        null: 403
+      };
+      listen(opts, function(port) {
+        var pending = Object.keys(origins).length;
+        Object.keys(origins).forEach(function(origin) {
+          get(port, {}, { Origin: origin }, function(err, res) {
+            expect([origin, res.status]).to.eql([origin, origins[origin]]);
+            if (--pending) return;
+            var fn = function(origin, req) {
+              return "polling" === req._query.transport && "a" === origin;
+            };
+            listen({ allowedOrigins: fn }, function(port) {
+              get(port, {}, { Origin: "a" }, function(err) {
+                expect(err).to.be(null);
+                get(port, {}, { Origin: "b" }, function(err, res) {
+                  expect(res.status).to.be(403);
+                  done();
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it("should check the requests of the sessions", function(done) {
+      var opts = { allowedOrigins: "https://example.com" };
+      var engine = listen(opts, function(port) {
+        // clients outside of browsers send no origin
+        handshake(port, function(sid) {
+          get(port, { sid: sid }, { Origin: "https://evil.com" }, function(
+            err,
+            res
+          ) {
+            expect(res.status).to.be(403);
+            engine.clients[sid].close();
+            done();
+          });
+        });
+      });
+    });
+
+    it("should check the websocket upgrades", function(done) {
+      var opts = { allowedOrigins: "https://example.com" };
+      listen(opts, function(port) {
+        var ws = new WebSocket(
+          "ws://localhost:%d/engine.io/default/?transport=websocket".s(port),
+          { origin: "https://evil.com" }
+        );
+        ws.on("unexpected-response", function(req, res) {
+          expect(res.statusCode).to.be(403);
+          done();
+        });
+      });
+    });
+
+    it("should use the referer of JSONP requests", function(done) {
+      var opts = { allowedOrigins: "https://example.com" };
+      listen(opts, function(port) {
+        get(port, { j: 0 }, { Referer: "https://evil.com/chat" }, function(
+          err,
+          res
+        ) {
+          expect(res.status).to.be(403);
+          get(port, { j: 0 }, { Referer: "https://example.com/chat" }, function(
+            err,
+            res
+          ) {
+            expect(err).to.be(null);
+            expect(res.status).to.be(200);
+            done();
+          });
+        });
+      });
+    });
+
+    it("should reject the JSONP requests without origin", function(done) {
+      var opts = { allowedOrigins: "https://example.com" };
+      var engine = listen(opts, function(port) {
+        var violations = [];
+        engine.on("originViolation", function(info) {
+          violations.push(info);
+        });
+        get(port, { j: 0 }, {}, function(err, res) {
+          expect(res.status).to.be(403);
+          expect(violations.length).to.be(1);
+          expect(violations[0].origin).to.be(null);
+          // the other polling requests are accepted
+          get(port, {}, {}, function(err, res) {
+            expect(err).to.be(null);
+            expect(res.status).to.be(200);
+            done();
+          });
+        });
+      });
+    });
+
+    it("should accept the upgrades without origin", function(done) {
+      var opts = { allowedOrigins: "https://example.com" };
+      var engine = listen(opts, function(port) {
+        engine.on("originViolation", function() {
+          done(new Error("should not happen"));
+        });
+        // the websocket client of node sends no origin
+        var client = eioc("ws://localhost:%d".s(port), {
+          transports: ["websocket"]
+        });
+        client.on("open", function() {
+          client.close();
+          done();
+        });
+      });
+    });
+
+    it("should only report the violations", function(done) {
+      var opts = {
+        allowedOrigins: "https://example.com",
+        originReportOnly: true
+      };
+      var engine = listen(opts, function(port) {
+        var violations = [];
+        engine.on("originViolation", function(info) {
+          violations.push(info);
+        });
+        get(port, {}, { Origin: "https://evil.com" }, function(err, res) {
+          expect(err).to.be(null);
+          expect(res.status).to.be(200);
+          expect(violations.length).to.be(1);
+          expect(violations[0].reportOnly).to.be(true);
+          done();
+        });
+      });
+    });
+  });
+
+  describe("slow requests", function() {
+    function slowPost(port, sid, length) {
+      var req = http.request({
+        port: port,
+        method: "POST",
+        path: "/engine.io/default/?transport=polling&sid=" + sid,
+        headers: {
+          "Content-Type": "text/plain; charset=UTF-8",
+          "Content-Length": length
+        }
+      });
+      req.on("error", function() {});
+      return req;
+    }
+
+    it("should not limit the data requests by default", function(done) {
+      var engine = listen(function(port) {
+        handshake(port, function(sid) {
+          var transport = engine.clients[sid].transport;
+          expect(transport.bodyTimeout).to.be(0);
+          expect(transport.minBodyRate).to.be(0);
+          expect(transport.maxPollDuration).to.be(0);
+          engine.clients[sid].close();
+          done();
+        });
+      });
+    });
+
+    it("should abort a data request exceeding bodyTimeout", function(done) {
+      var engine = listen({ bodyTimeout: 100 }, function(port) {
+        handshake(port, function(sid) {
+          var start = Date.now();
+          engine.clients[sid].on("close", function(reason) {
+            expect(reason).to.be("transport error");
+            expect(Date.now() - start).to.be.within(80, 1000);
+            done();
+          });
+          // the body is never completed
+          slowPost(port, sid, 100).write("2:4a");
+        });
+      });
+    });
+
+    it("should abort a data request under minBodyRate", function(done) {
+      var opts = { bodyTimeout: 0, minBodyRate: 100 };
+      var engine = listen(opts, function(port) {
+        handshake(port, function(sid) {
+          var req = slowPost(port, sid, 100);
+          req.write("98:4");
+          var timer = setInterval(function() {
+            req.write("a");
+          }, 200);
+          engine.clients[sid].on("close", function(reason) {
+            clearInterval(timer);
+            expect(reason).to.be("transport error");
+            done();
+          });
+        });
+      });
+    });
+
+    it("should accept the data requests within the limits", function(done) {
+      var opts = { bodyTimeout: 1000, minBodyRate: 10 };
+      var engine = listen(opts, function(port) {
+        handshake(port, function(sid) {
+          var socket = engine.clients[sid];
+          socket.on("message", function(msg) {
+            expect(msg).to.be("a");
+            // the timers of the request are cleared
+            setTimeout(function() {
+              expect(socket.readyState).to.be("open");
+              socket.close();
+              done();
+            }, 1200);
+          });
+          var req = slowPost(port, sid, 4);
+          req.write("2:");
+          setTimeout(function() {
+            req.end("4a");
+          }, 50);
+        });
+      });
+    });
+
+    it("should answer a poll after maxPollDuration", function(done) {
+      var opts = { maxPollDuration: 100, pingInterval: 5000 };
+      var engine = listen(opts, function(port) {
+        handshake(port, function(sid) {
+          var start = Date.now();
+          poll(port, { sid: sid }, function(packets) {
+            expect(packets).to.eql([{ type: "noop" }]);
+            expect(Date.now() - start).to.be.within(80, 1000);
+            engine.clients[sid].close();
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  describe("payload decoding", function() {
+    function post(port, sid, type) {
+      var req = http.request({
+        port: port,
+        method: "POST",
+        path: "/engine.io/default/?transport=polling&sid=" + sid,
+        headers: { "Content-Type": type }
+      });
+      req.on("error", function() {});
+      return req;
+    }
+
+    it("should handle the packets before the end of the request", function(done) {
+      var engine = listen(function(port) {
+        handshake(port, function(sid) {
+          var req = post(port, sid, "text/plain; charset=UTF-8");
+          var messages = [];
+          engine.clients[sid].on("message", function(msg) {
+            messages.push(msg);
+            if ("a" === msg) req.end("2:4b");
+          });
+          req.on("response", function(res) {
+            expect(res.statusCode).to.be(200);
+            expect(messages).to.eql(["a", "b"]);
+            engine.clients[sid].close();
+            done();
+          });
+          req.write("2:4a");
+        });
+      });
+    });
+
+    it("should decode the records split across chunks", function(done) {
+      var engine = listen(function(port) {
+        handshake(port, function(sid) {
+          var packets = [
+            { type: "message", data: "héllo" },
+            { type: "message", data: Buffer.from([1, 2, 3]) },
+            { type: "message", data: "€" }
+          ];
+          var req = post(port, sid, "application/octet-stream");
+          var messages = [];
+          engine.clients[sid].on("message", function(msg) {
+            messages.push(msg);
+            if (3 === messages.length) {
+              expect(messages[0]).to.be("héllo");
+              expect(Buffer.isBuffer(messages[1])).to.be(true);
+              expect(messages[1]).to.eql(Buffer.from([1, 2, 3]));
+              expect(messages[2]).to.be("€");
+              engine.clients[sid].close();
+              done();
+            }
+          });
+          eio.parser.encodePayload(packets, true, function(data) {
+            // one byte at a time
+            var i = 0;
+            (function next() {
+              if (i === data.length) return req.end();
+              req.write(data.slice(i, ++i));
+              setImmediate(next);
+            })();
+          });
+        });
+      });
+    });
+
+    it("should decode the characters split across chunks", function(done) {
+      var engine = listen(function(port) {
+        handshake(port, function(sid) {
+          var req = post(port, sid, "text/plain; charset=UTF-8");
+          engine.clients[sid].on("message", function(msg) {
+            expect(msg).to.be("日本");
+            engine.clients[sid].close();
+            done();
+          });
+          var data = Buffer.from("3:4日本");
+          req.write(data.slice(0, 5));
+          setTimeout(function() {
+            req.end(data.slice(5));
+          }, 20);
+        });
+      });
+    });
+
+    it("should reject a packet larger than maxHttpBufferSize early", function(done) {
+      var engine = listen({ maxHttpBufferSize: 100 }, function(port) {
+        handshake(port, function(sid) {
+          var req = post(port, sid, "text/plain; charset=UTF-8");
+          engine.clients[sid].on("message", function(msg) {
+            expect(msg).to.be("a");
+          });
+          engine.clients[sid].on("close", function(reason) {
+            expect(reason).to.be("transport error");
+            done();
+          });
+          // only the announced length exceeds the limit
+          req.write("2:4a1000:4");
+        });
+      });
+    });
+
+    it("should close the session on a malformed payload", function(done) {
+      var engine = listen(function(port) {
+        handshake(port, function(sid) {
+          var messages = [];
+          engine.clients[sid].on("message", function(msg) {
+            messages.push(msg);
+          });
+          engine.clients[sid].on("close", function(reason) {
+            expect(reason).to.be("parse error");
+            expect(messages).to.eql(["a"]);
+            done();
+          });
+          post(port, sid, "text/plain; charset=UTF-8").end("2:4a2x4b");
+        });
+      });
+    });
+
+    it("should decode the payloads of the other codecs once complete", function(done) {
+      var engine = listen({ codecs: [eio.codecs.msgpack] }, function(port) {
+        engine.on("connection", function(socket) {
+          var req = post(port, socket.id, "application/octet-stream");
+          socket.on("message", function(msg) {
+            expect(msg).to.be("hi");
+            socket.close();
+            done();
+          });
+          eio.codecs.msgpack.encodePayload(
+            [{ type: "message", data: "hi" }],
+            true,
+            function(data) {
+              req.write(data.slice(0, 2));
+              setTimeout(function() {
+                req.end(data.slice(2));
+              }, 20);
+            }
+          );
+        });
+        request
+          .get("http://localhost:%d/engine.io/default/".s(port))
+          .query({ transport: "polling", codec: "msgpack" })
+          .end(function() {});
+      });
+    });
+  });
 });
+
+/**
+ * Sends a polling request and decodes the payload of the response.
+ */
+
+function poll(port, query, fn) {
+  return request
+    .get("http://localhost:%d/engine.io/default/".s(port))
+    .query(Object.assign({ transport: "polling" }, query))
+    .buffer(true)
+    .parse(function(res, cb) {
+      res.text = "";
+      res.setEncoding("utf8");
+      res.on("data", function(chunk) {
+        res.text += chunk;
+      });
+      res.on("end", cb);
+    })
+    .end(function(err, res) {
+      expect(err).to.be(null);
+      var packets = [];
+      eio.parser.decodePayload(res.text, function(packet) {
+        packets.push(packet);
+      });
+      fn(packets);
+    });
+}
+
+/**
+ * Opens a polling session and returns its sid.
+ */
+
+function handshake(port, fn) {
+  poll(port, {}, function(packets) {
+    expect(packets[0].type).to.be("open");
+    fn(JSON.parse(packets[0].data).sid);
+  });
+}
+
+/**
+ * Opens a protocol v3 polling session and returns its sid.
+ */
+
+function handshakeV3(port, fn) {
+  poll(port, { EIO: 3 }, function(packets) {
+    expect(packets[0].type).to.be("open");
+    fn(JSON.parse(packets[0].data).sid);
+  });
+}